@@ -7,9 +7,22 @@
 
 'use strict';
 
+const fs = require('fs');
+
+// shared with the other JET application, see pwa/serviceWorker.js
+const writeServiceWorker = require('../../../pwa/serviceWorker');
+
 module.exports = function (configObj) {
   return new Promise((resolve, reject) => {
   	console.log("Running after_build hook.");
-  	resolve(configObj);
+    try {
+      if (configObj.platform === 'web') {
+        const ojetConfig = JSON.parse(fs.readFileSync('oraclejetconfig.json', 'utf8'));
+        writeServiceWorker(ojetConfig.paths.staging.web);
+      }
+      resolve(configObj);
+    } catch (error) {
+      reject(error);
+    }
   });
 };
@@ -0,0 +1,50 @@
+/**
+ * @license
+ * Copyright (c) 2014, 2021, Oracle and/or its affiliates.
+ * Licensed under The Universal Permissive License (UPL), Version 1.0
+ * as shown at https://oss.oracle.com/licenses/upl/
+ * @ignore
+ */
+/*
+ * What the shell is built from, as served by the application server at
+ * /api/config: the application's name and logo, the pages in the navigation
+ * bar, the footer links and which optional features are on.
+ *
+ * This is a require.js loader plugin: a module that depends on 'appConfig!'
+ * is only created once /api/config has answered, and gets the configuration.
+ * Offline, the service worker answers with the copy it last had. Where
+ * nothing serves /api/config, as under `ojet serve`, or the request fails,
+ * the shell is built from DEFAULT_CONFIG instead.
+ */
+define([],
+  function () {
+    const DEFAULT_CONFIG = {
+      logo: { iconClass: 'demo-oracle-icon' },
+      nav: [
+        { path: 'dashboard', iconClass: 'oj-ux-ico-bar-chart' },
+        { path: 'incidents', iconClass: 'oj-ux-ico-fire' },
+        { path: 'customers', iconClass: 'oj-ux-ico-contact-group' },
+        { path: 'about', iconClass: 'oj-ux-ico-information-s' }
+      ],
+      footerLinks: [
+        { id: 'aboutOracle', linkTarget: 'http://www.oracle.com/us/corporate/index.html#menu-about' },
+        { id: 'contactUs', linkTarget: 'http://www.oracle.com/us/corporate/contact/index.html' },
+        { id: 'legalNotices', linkTarget: 'http://www.oracle.com/us/legal/index.html' },
+        { id: 'termsOfUse', linkTarget: 'http://www.oracle.com/us/legal/terms/index.html' },
+        { id: 'yourPrivacyRights', linkTarget: 'http://www.oracle.com/us/legal/privacy/index.html' }
+      ],
+      features: { help: true }
+    };
+
+    return {
+      load: (name, req, onload) => {
+        fetch('api/config', { credentials: 'same-origin', headers: { 'Accept': 'application/json' } })
+          .then((response) => response.ok ? response.json() : Promise.reject(response.status))
+          .then(onload, (error) => {
+            console.warn('No application configuration from api/config, using the built-in one', error);
+            onload(DEFAULT_CONFIG);
+          });
+      }
+    };
+  }
+);
@@ -8,39 +8,55 @@
 /*
  * Your application specific code will go here
  */
-define(['knockout', 'ojs/ojcontext', 'ojs/ojmodule-element-utils', 'ojs/ojresponsiveutils', 'ojs/ojresponsiveknockoututils', 'ojs/ojcorerouter', 'ojs/ojmodulerouter-adapter', 'ojs/ojknockoutrouteradapter', 'ojs/ojurlparamadapter', 'ojs/ojarraydataprovider', 'ojs/ojknockouttemplateutils', 'ojs/ojmodule-element', 'ojs/ojknockout'],
-  function(ko, Context, moduleUtils, ResponsiveUtils, ResponsiveKnockoutUtils, CoreRouter, ModuleRouterAdapter, KnockoutRouterAdapter, UrlParamAdapter, ArrayDataProvider, KnockoutTemplateUtils) {
+define(['knockout', 'accUtils', 'pageMeta', 'appConfig!', 'ojs/ojcontext', 'ojs/ojmodule-element-utils', 'ojs/ojresponsiveutils', 'ojs/ojresponsiveknockoututils', 'ojs/ojcorerouter', 'ojs/ojmodulerouter-adapter', 'ojs/ojknockoutrouteradapter', 'ojs/ojurlparamadapter', 'ojs/ojarraydataprovider', 'ojs/ojknockouttemplateutils', 'ojs/ojmodule-element', 'ojs/ojknockout'],
+  function(ko, accUtils, pageMeta, config, Context, moduleUtils, ResponsiveUtils, ResponsiveKnockoutUtils, CoreRouter, ModuleRouterAdapter, KnockoutRouterAdapter, UrlParamAdapter, ArrayDataProvider, KnockoutTemplateUtils) {
 
      function ControllerViewModel() {
 
         this.KnockoutTemplateUtils = KnockoutTemplateUtils;
 
-        // Handle announcements sent when pages change, for Accessibility.
-        this.manner = ko.observable('polite');
-        this.message = ko.observable();
-
-        announcementHandler = (event) => {
-          this.message(event.detail.message);
-          this.manner(event.detail.manner);
-      };
-
-      document.getElementById('globalBody').addEventListener('announce', announcementHandler, false);
+        // Focus moves to each page navigated to, and the skip link moves it
+        // to the page on screen (see accUtils.js)
+        accUtils.followNavigation();
+        this.skipToContent = (event) => {
+          event.preventDefault();
+          accUtils.focusPage();
+        };
 
       // Media queries for repsonsive layouts
       const smQuery = ResponsiveUtils.getFrameworkQuery(ResponsiveUtils.FRAMEWORK_QUERY_KEY.SM_ONLY);
       this.smScreen = ResponsiveKnockoutUtils.createMediaQueryObservable(smQuery);
 
-      let navData = [
-        { path: '', redirect: 'dashboard' },
-        { path: 'dashboard', detail: { label: 'Dashboard', iconClass: 'oj-ux-ico-bar-chart' } },
-        { path: 'incidents', detail: { label: 'Incidents', iconClass: 'oj-ux-ico-fire' } },
-        { path: 'customers', detail: { label: 'Customers', iconClass: 'oj-ux-ico-contact-group' } },
-        { path: 'about', detail: { label: 'About', iconClass: 'oj-ux-ico-information-s' } }
-      ];
+      // The pages this shell has, with their names. Configured pages it does
+      // not have are left out of the navigation bar.
+      const pages = {
+        dashboard: { label: 'Dashboard', description: 'Incident and customer figures at a glance.' },
+        incidents: { label: 'Incidents', description: 'Incidents reported by customers, and their progress.' },
+        customers: { label: 'Customers', description: 'Customers and their contact details.' },
+        about: { label: 'About', description: 'About this application.' }
+      };
+      // Routes: the configured pages (see appConfig.js) in their order, the
+      // first one being the home page. detail.title and detail.description go
+      // in the document head (see pageMeta.js).
+      const navPages = config.nav.filter((page) => pages.hasOwnProperty(page.path));
+      let navData = [{ path: '', redirect: navPages[0].path }].concat(navPages.map((page) => {
+        let label = page.label || pages[page.path].label;
+        return {
+          path: page.path,
+          detail: {
+            label: label,
+            title: label,
+            description: pages[page.path].description,
+            iconClass: page.iconClass
+          }
+        };
+      }));
       // Router setup
       let router = new CoreRouter(navData, {
         urlAdapter: new UrlParamAdapter()
       });
+      pageMeta.describeApp(config.appName || 'App Name', 'Track incidents and the customers they affect.');
+      pageMeta.follow(router);
       router.sync();
 
       this.moduleAdapter = new ModuleRouterAdapter(router);
@@ -52,19 +68,30 @@ define(['knockout', 'ojs/ojcontext', 'ojs/ojmodule-element-utils', 'ojs/ojrespon
       this.navDataProvider = new ArrayDataProvider(navData.slice(1), {keyAttributes: "path"});
 
       // Header
-      // Application Name used in Branding Area
-      this.appName = ko.observable("App Name");
-      // User Info used in Global Navigation area
-      this.userLogin = ko.observable("john.hancock@oracle.com");
+      // Application Name and logo used in Branding Area
+      this.appName = ko.observable(config.appName || 'App Name');
+      this.logo = { src: config.logo.src, iconClass: config.logo.iconClass, label: config.logo.label || 'Oracle Logo' };
+      // Optional parts of the shell that the configuration switches on and off
+      this.features = config.features;
+      // User Info used in Global Navigation area, from the application server's
+      // /api/me; the user menu stays hidden while this is empty, as it does
+      // when the server does not serve /api/me or nobody is signed in
+      this.userLogin = ko.observable('');
+      fetch('api/me', { credentials: 'same-origin', headers: { 'Accept': 'application/json' } })
+        .then((response) => response.ok ? response.json() : Promise.reject(response.status))
+        .then((user) => this.userLogin(user.email || ''), () => this.userLogin(''));
 
-      // Footer
-      this.footerLinks = [
-        {name: 'About Oracle', linkId: 'aboutOracle', linkTarget:'http://www.oracle.com/us/corporate/index.html#menu-about'},
-        { name: "Contact Us", id: "contactUs", linkTarget: "http://www.oracle.com/us/corporate/contact/index.html" },
-        { name: "Legal Notices", id: "legalNotices", linkTarget: "http://www.oracle.com/us/legal/index.html" },
-        { name: "Terms Of Use", id: "termsOfUse", linkTarget: "http://www.oracle.com/us/legal/terms/index.html" },
-        { name: "Your Privacy Rights", id: "yourPrivacyRights", linkTarget: "http://www.oracle.com/us/legal/privacy/index.html" },
-      ];
+      // Footer, each link named by the configuration or else by its id
+      const footerNames = {
+        aboutOracle: 'About Oracle',
+        contactUs: 'Contact Us',
+        legalNotices: 'Legal Notices',
+        termsOfUse: 'Terms Of Use',
+        yourPrivacyRights: 'Your Privacy Rights'
+      };
+      this.footerLinks = config.footerLinks.map((link) => {
+        return { id: link.id, name: link.name || footerNames[link.id] || link.linkTarget, linkTarget: link.linkTarget };
+      });
      }
 
      // release the application bootstrap busy state
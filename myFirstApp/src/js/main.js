@@ -81,3 +81,14 @@ require(['ojs/ojbootstrap', 'knockout', 'appController', 'ojs/ojlogger', 'ojs/oj
     );
   }
 );
+
+// Cache the application shell so that it starts without a connection too, see sw.js.
+// sw.js only exists in the staged application, where scripts/hooks/after_build.js
+// fills in what it caches.
+if ('serviceWorker' in navigator) {
+  window.addEventListener('load', function () {
+    navigator.serviceWorker.register('sw.js').catch(function (error) {
+      console.warn('The service worker could not be registered', error);
+    });
+  });
+}
@@ -0,0 +1,100 @@
+/**
+ * @license
+ * Copyright (c) 2014, 2021, Oracle and/or its affiliates.
+ * Licensed under The Universal Permissive License (UPL), Version 1.0
+ * as shown at https://oss.oracle.com/licenses/upl/
+ * @ignore
+ */
+/*
+ * The document title and description of the page on screen, taken from the
+ * details of its route, and announcing each page once it is shown.
+ *
+ * The shell hands its router to follow(), and so does every page that has
+ * child routes of its own. Besides label, a route's detail may have
+ *
+ *   title        the page title, or a function of the router state returning
+ *                it, for routes with parameters such as incidents/<id>
+ *   description  what the page is for, for the description meta element
+ *
+ * A child route without them shows those of the route it is nested in. The
+ * title reads "<page> – <app name>".
+ */
+define(['accUtils'],
+  function (accUtils) {
+    // the followed routers whose state is on screen, each nested in the one before
+    let shown = [];
+    let app = { name: '', description: '' };
+    let announced = null;
+
+    /**
+     * The `name` of the innermost route on screen that has one.
+     */
+    function routeDetail(name) {
+      for (let i = shown.length - 1; i >= 0; i--) {
+        let state = shown[i].state;
+        let value = state && state.detail && state.detail[name];
+        if (value) {
+          return typeof value === 'function' ? value(state) : value;
+        }
+      }
+      return undefined;
+    }
+
+    function update() {
+      let page = routeDetail('title');
+      document.title = page ? page + ' – ' + app.name : app.name;
+      let description = document.querySelector('meta[name="description"]');
+      if (description) {
+        description.setAttribute('content', routeDetail('description') || app.description);
+      }
+    }
+
+    /**
+     * Name the application, and describe it for the pages that do not
+     * describe themselves. Called by the shell before it follows its router.
+     */
+    function describeApp(name, description) {
+      app = { name: name, description: description };
+    }
+
+    /**
+     * Keep the title and description in step with the state of `router`.
+     * Routers nested in it that were followed before are let go of when it
+     * moves on, as their pages are no longer shown.
+     * @param {CoreRouter} router
+     */
+    function follow(router) {
+      let followed = { state: undefined };
+      shown.push(followed);
+      followed.subscription = router.currentState.subscribe((value) => {
+        if (!value.state || shown.indexOf(followed) === -1) {
+          return;
+        }
+        shown.splice(shown.indexOf(followed) + 1).forEach((nested) => {
+          nested.subscription.unsubscribe();
+        });
+        followed.state = value.state;
+        update();
+      });
+    }
+
+    // A page is announced once an oj-module in the main region has shown it,
+    // and only if it has another title than the page announced before, which
+    // leaves out modules inside a page. ojTransitionEnd does not bubble, so it
+    // is caught on its way down.
+    document.addEventListener('ojTransitionEnd', (event) => {
+      let main = document.querySelector('[role="main"]');
+      let page = routeDetail('title');
+      if (!main || !main.contains(event.target) || !page || page === announced) {
+        return;
+      }
+      announced = page;
+      accUtils.announce(page + ' page loaded.');
+    }, true);
+
+    return {
+      describeApp: describeApp,
+      follow: follow
+    };
+  }
+);
@@ -8,8 +8,8 @@
 /*
  * Your dashboard ViewModel code goes here
  */
-define(['accUtils'],
- function(accUtils) {
+define([],
+ function() {
     function DashboardViewModel() {
       // Below are a set of the ViewModel methods invoked by the oj-module component.
       // Please reference the oj-module jsDoc for additional information.
@@ -23,8 +23,6 @@ define(['accUtils'],
        * after being disconnected.
        */
       this.connected = () => {
-        accUtils.announce('Dashboard page loaded.');
-        document.title = "Dashboard";
         // Implement further logic if needed
       };
 
@@ -7,9 +7,52 @@
 
 'use strict';
 
+const fs = require('fs');
+const path = require('path');
+
+/*
+ * The application has to work without access to the internet, so the build
+ * fails when index.html loads anything from another host. Comments, such as
+ * the license header, are not checked.
+ *
+ * ojuxIconFont, which the navigation icons come from, is not published on
+ * npm. Its stylesheet and font files are copied from the Oracle CDN into
+ * ICON_FONT by hand, and the build warns while they are missing.
+ */
+
+const ICON_FONT = 'css/ojuxIconFont/2101.3.0';
+const ICON_FONT_SOURCE = 'static.oracle.com/cdn/fnd/gallery/2101.3.0/images/iconfont';
+
+const ATTRIBUTE = /\b(?:src|href|srcset|poster|data)\s*=\s*["']\s*((?:[a-z][a-z0-9+.-]*:)?\/\/[^"'\s]*)/gi;
+const CSS_URL = /(?:url\(\s*["']?|@import\s+["'])\s*((?:[a-z][a-z0-9+.-]*:)?\/\/[^"')\s]*)/gi;
+
+function externalReferences(file) {
+  const html = fs.readFileSync(file, 'utf8').replace(/<!--[\s\S]*?-->/g, '');
+  const found = [];
+  [ATTRIBUTE, CSS_URL].forEach((pattern) => {
+    let match;
+    while ((match = pattern.exec(html)) !== null) {
+      found.push(match[1]);
+    }
+  });
+  return found;
+}
+
 module.exports = function (configObj) {
   return new Promise((resolve, reject) => {
   	console.log("Running before_build hook.");
+    const ojetConfig = JSON.parse(fs.readFileSync('oraclejetconfig.json', 'utf8'));
+    const index = path.join(ojetConfig.paths.source.common, 'index.html');
+    const external = externalReferences(index);
+    if (external.length) {
+      reject(new Error(`${index} loads from other hosts, bundle these with the application instead: ${external.join(', ')}`));
+      return;
+    }
+    const iconFont = path.join(ojetConfig.paths.source.common, ICON_FONT);
+    if (!fs.existsSync(path.join(iconFont, 'ojuxIconFont.min.css'))) {
+      console.warn(`${iconFont} is missing ojuxIconFont.min.css, the navigation shows no icons. ` +
+        `Copy it and its font files from ${ICON_FONT_SOURCE}.`);
+    }
   	resolve(configObj);
   });
 };
@@ -52,6 +52,33 @@
       // endinjector
     }
   );
+
+  // The locale saved on this device under 'locale' (e.g. 'ar-SA'), which JET
+  // loads its translations and converters in. It is picked from the Language
+  // menu (see appController.ts) or with a ?locale=ar-SA parameter, which is
+  // saved and taken out of the URL; ?locale= alone goes back to the default.
+  // Arabic and Hebrew pages are laid out right to left; the dir attribute is
+  // set before any JET component is created, as they read the reading
+  // direction from it.
+  var _rtlLanguages = ['ar', 'he'];
+  var _param = location.search.match(/[?&]locale=([^&#]*)/);
+  if (_param) {
+    var _picked = decodeURIComponent(_param[1]);
+    if (/^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8})*$/.test(_picked)) {
+      localStorage.setItem('locale', _picked);
+    } else if (!_picked) {
+      localStorage.removeItem('locale');
+    }
+    history.replaceState(null, '', location.pathname +
+      location.search.replace(/([?&])locale=[^&#]*&?/, '$1').replace(/[?&]$/, '') + location.hash);
+  }
+  var _locale = localStorage.getItem('locale');
+  if (_locale) {
+    requirejs.config({ config: { ojL10n: { locale: _locale } } });
+    document.documentElement.lang = _locale;
+    document.documentElement.dir =
+      _rtlLanguages.indexOf(_locale.split('-')[0].toLowerCase()) === -1 ? 'ltr' : 'rtl';
+  }
 }());
 
 require(['ojs/ojbootstrap', 'root'], function (Bootstrap, Root) {
@@ -60,3 +87,14 @@ require(['ojs/ojbootstrap', 'root'], function (Bootstrap, Root) {
     Root.init();
   });
 });
+
+// Cache the application shell so that it starts without a connection too, see sw.js.
+// sw.js only exists in the staged application, where scripts/hooks/after_build.js
+// fills in what it caches.
+if ('serviceWorker' in navigator) {
+  window.addEventListener('load', function () {
+    navigator.serviceWorker.register('sw.js').catch(function (error) {
+      console.warn('The service worker could not be registered', error);
+    });
+  });
+}
@@ -4,30 +4,123 @@
  * The Universal Permissive License (UPL), Version 1.0
  */
 /*
- * Your application specific code will go here
+ * Accessibility for a single page application: announcements through the
+ * aria-live regions in index.html, and moving focus to the page that was
+ * navigated to.
+ *
+ * Each region is a channel with its own queue. A message stays in its region
+ * for MESSAGE_TIME before the next one replaces it, so that a screen reader
+ * reads out a burst of announcements one after the other instead of only the
+ * last one. A message already waiting on its channel, or read out there less
+ * than REPEAT_TIME ago, is dropped.
  */
+import Context = require("ojs/ojcontext");
 
-/**
- * Method for sending notifications to the aria-live region for Accessibility.
- * Sending a notice when the page is loaded, as well as changing the page title
- * is considered best practice for making Single Page Applications Accessbible.
- */
+type Manner = "off" | "polite" | "assertive";
 
-let validAriaLiveValues: string[] = ["off", "polite", "assertive"];
+const REGIONS: { polite: string; assertive: string } = { polite: "announcePolite", assertive: "announceAssertive" };
+const MESSAGE_TIME: number = 1000;
+const REPEAT_TIME: number = 3000;
 
-export function announce(message: string, manner?: string): void {
-  if (manner === undefined || validAriaLiveValues.indexOf(manner) === -1) {
-    manner = "polite";
+function createChannel(regionId: string): (message: string) => void {
+  let queue: string[] = [];
+  // when each message was last read out
+  let recent: Map<string, number> = new Map();
+  let timer: number | null = null;
+
+  function next(): void {
+    let region: HTMLElement | null = document.getElementById(regionId);
+    timer = null;
+    if (!region) {
+      queue = [];
+      return;
+    }
+    if (!queue.length) {
+      // leave nothing behind for a screen reader to come across later
+      region.textContent = "";
+      return;
+    }
+    let message: string = queue.shift() as string;
+    region.textContent = message;
+    recent.set(message, Date.now());
+    timer = window.setTimeout(next, MESSAGE_TIME);
   }
 
-  let params: {
-    bubbles: boolean;
-    detail: { message: string, manner: string };
-  } = {
-    "bubbles": true,
-    "detail": { "message": message, "manner": manner }
+  return (message: string): void => {
+    let now: number = Date.now();
+    recent.forEach((time: number, read: string) => {
+      if (now - time >= REPEAT_TIME) {
+        recent.delete(read);
+      }
+    });
+    if (recent.has(message) || queue.indexOf(message) !== -1) {
+      return;
+    }
+    queue.push(message);
+    if (timer === null) {
+      next();
+    }
   };
+}
+
+const channels: { polite: (message: string) => void; assertive: (message: string) => void } = {
+  polite: createChannel(REGIONS.polite),
+  assertive: createChannel(REGIONS.assertive)
+};
+
+/**
+ * Have screen readers read out `message`. Sending a notice when the page is
+ * loaded, as well as changing the page title, is considered best practice for
+ * making Single Page Applications accessible.
+ * "polite" (the default) waits for the screen reader to finish, "assertive"
+ * interrupts it, "off" says nothing.
+ */
+export function announce(message: string, manner?: Manner): void {
+  if (!message || manner === "off") {
+    return;
+  }
+  channels[manner === "assertive" ? "assertive" : "polite"](message);
+}
 
-  let globalBodyElement: HTMLElement = document.getElementById("globalBody") as HTMLElement;
-  globalBodyElement.dispatchEvent(new CustomEvent("announce", params));
-}
\ No newline at end of file
+/**
+ * Move focus to the heading of the page in the main region, once the page is
+ * shown, or to the region itself for a page without one.
+ */
+export function focusPage(): Promise<void> {
+  let main: HTMLElement | null = document.querySelector("[role='main']");
+  if (!main) {
+    return Promise.resolve();
+  }
+  let region: HTMLElement = main;
+  return Context.getContext(region).getBusyContext().whenReady().then(() => {
+    let target: HTMLElement = region.querySelector("h1") || region;
+    // focusable from script, but not added to the tab order
+    if (!target.hasAttribute("tabindex")) {
+      target.setAttribute("tabindex", "-1");
+    }
+    target.focus();
+  });
+}
+
+/**
+ * Move focus to each page navigated to after the one the application started
+ * on, so keyboard and screen reader users carry on from there rather than from
+ * the link they used. A page has been navigated to when an oj-module in the
+ * main region has switched views and the URL is not the one focus was last
+ * moved for; this also covers pages shown by child routers, and leaves out
+ * modules inside a page.
+ */
+export function followNavigation(): void {
+  let shown: string | null = null;
+  // ojTransitionEnd does not bubble, so it is caught on its way down
+  document.addEventListener("ojTransitionEnd", (event: Event) => {
+    let main: HTMLElement | null = document.querySelector("[role='main']");
+    if (!main || !main.contains(event.target as Node) || location.href === shown) {
+      return;
+    }
+    if (shown !== null) {
+      focusPage();
+    }
+    shown = location.href;
+  }, true);
+}
@@ -0,0 +1,68 @@
+/**
+ * @license
+ * Copyright (c) 2014, 2018, Oracle and/or its affiliates.
+ * The Universal Permissive License (UPL), Version 1.0
+ */
+/*
+ * What the shell is built from, as served by the application server at
+ * /api/config: the application's name and logo, the pages in the navigation
+ * bar, the footer links and which optional features are on. Texts the
+ * configuration leaves out are the shell's own.
+ */
+
+export interface NavEntry {
+  path: string;
+  iconClass: string;
+  role?: string;
+  label?: string;
+}
+
+export interface FooterLink {
+  id: string;
+  linkTarget: string;
+  name?: string;
+}
+
+export interface AppConfig {
+  appName?: string;
+  logo: { iconClass?: string; src?: string; label?: string };
+  nav: NavEntry[];
+  footerLinks: FooterLink[];
+  features: { [name: string]: boolean };
+}
+
+/**
+ * What the shell is built from where nothing serves /api/config, as under
+ * `ojet serve`.
+ */
+export const DEFAULT_CONFIG: AppConfig = {
+  logo: { iconClass: "demo-oracle-icon" },
+  nav: [
+    { path: "dashboard", iconClass: "oj-ux-ico-bar-chart" },
+    { path: "incidents", iconClass: "oj-ux-ico-fire" },
+    { path: "customers", iconClass: "oj-ux-ico-contact-group" },
+    { path: "about", iconClass: "oj-ux-ico-information-s" }
+  ],
+  footerLinks: [
+    { id: "aboutOracle", linkTarget: "http://www.oracle.com/us/corporate/index.html#menu-about" },
+    { id: "contactUs", linkTarget: "http://www.oracle.com/us/corporate/contact/index.html" },
+    { id: "legalNotices", linkTarget: "http://www.oracle.com/us/legal/index.html" },
+    { id: "termsOfUse", linkTarget: "http://www.oracle.com/us/legal/terms/index.html" },
+    { id: "yourPrivacyRights", linkTarget: "http://www.oracle.com/us/legal/privacy/index.html" }
+  ],
+  features: { help: true }
+};
+
+/**
+ * Fetch the configuration. Offline, the service worker answers with the copy
+ * it last had; when the server does not answer with one at all this resolves
+ * with DEFAULT_CONFIG, so the shell always starts.
+ */
+export function load(): Promise<AppConfig> {
+  return fetch("api/config", { credentials: "same-origin", headers: { "Accept": "application/json" } })
+    .then((response: Response) => response.ok ? response.json() : Promise.reject(response.status))
+    .catch((error: unknown) => {
+      console.warn("No application configuration from api/config, using the built-in one", error);
+      return DEFAULT_CONFIG;
+    });
+}
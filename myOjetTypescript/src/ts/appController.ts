@@ -13,15 +13,47 @@ import "ojs/ojmodule-element";
 import { ojNavigationList } from "ojs/ojnavigationlist";
 import { ojModule } from "ojs/ojmodule-element";
 import Context = require("ojs/ojcontext");
+import * as AccUtils from "./accUtils";
+import * as PageMeta from "./pageMeta";
+import { AppConfig, FooterLink, NavEntry } from "./appConfig";
 
-interface CoreRouterDetail {
+// title and description go in the document head (see pageMeta.ts)
+interface CoreRouterDetail extends PageMeta.PageDetail {
   label: string;
   iconClass: string;
 };
 
+const APP_NAME: string = "Oracle JET + TypeScript App";
+
+// the pages this shell has, with their names; configured pages it does not
+// have are left out of the navigation bar
+const PAGES: { [path: string]: { label: string; description: string } } = {
+  dashboard: { label: "Dashboard", description: "Incident and customer figures at a glance." },
+  incidents: { label: "Incidents", description: "Incidents reported by customers, and their progress." },
+  customers: { label: "Customers", description: "Customers and their contact details." },
+  about: { label: "About", description: "About this application." }
+};
+
+// the names of the usual footer links, by id
+const FOOTER_NAMES: { [id: string]: string } = {
+  aboutOracle: "About Oracle",
+  contactUs: "Contact Us",
+  legalNotices: "Legal Notices",
+  termsOfUse: "Terms Of Use",
+  yourPrivacyRights: "Your Privacy Rights"
+};
+
+// the locales the Language menu offers, with their names shown in their own
+// language; Arabic and Hebrew are laid out right to left (see main.js)
+const LOCALES: Array<{ value: string; label: string }> = [
+  { value: "en-US", label: "English" },
+  { value: "ar-SA", label: "العربية" },
+  { value: "de-DE", label: "Deutsch" },
+  { value: "fr-FR", label: "Français" },
+  { value: "he-IL", label: "עברית" }
+];
+
 class RootViewModel {
-  manner: ko.Observable<string>;
-  message: ko.Observable<string|undefined>;
   smScreen: ko.Observable<boolean>;
   mdScreen: ko.Observable<boolean>;
   router: CoreRouter<CoreRouterDetail>;
@@ -38,16 +70,15 @@ class RootViewModel {
   };
   appName: ko.Observable<string>;
   userLogin: ko.Observable<string>;
-  footerLinks: Array<object>;
+  locales: ArrayDataProvider<string, { value: string; label: string }>;
+  logo: { src?: string; iconClass?: string; label: string };
+  features: { [name: string]: boolean };
+  footerLinks: Array<{ id: string; name: string; linkTarget: string }>;
   selection: KnockoutRouterAdapter<CoreRouterDetail>;
 
-  constructor() {
-    // handle announcements sent when pages change, for Accessibility.
-    this.manner = ko.observable("polite");
-    this.message = ko.observable();
-
-    let globalBodyElement: HTMLElement = document.getElementById("globalBody") as HTMLElement;
-    globalBodyElement.addEventListener("announce", this.announcementHandler, false);
+  constructor(config: AppConfig) {
+    // focus moves to each page navigated to (see accUtils.ts)
+    AccUtils.followNavigation();
 
     // media queries for repsonsive layouts
     let smQuery: string | null = ResponsiveUtils.getFrameworkQuery("sm-only");
@@ -60,17 +91,30 @@ class RootViewModel {
       this.mdScreen = ResponsiveKnockoutUtils.createMediaQueryObservable(mdQuery);
     }
 
+    // the configured pages (see appConfig.ts) in their order, the first one
+    // being the home page
+    const pages: NavEntry[] = config.nav.filter((page: NavEntry) => PAGES.hasOwnProperty(page.path));
     const navData = [
-      { path: "", redirect: "dashboard" },
-      { path: "dashboard", detail: { label: "Dashboard", iconClass: "oj-ux-ico-bar-chart" } },
-      { path: "incidents", detail: { label: "Incidents", iconClass: "oj-ux-ico-fire" } },
-      { path: "customers", detail: { label: "Customers", iconClass: "oj-ux-ico-contact-group" } },
-      { path: "about", detail: { label: "About", iconClass: "oj-ux-ico-information-s" } }
+      { path: "", redirect: pages[0].path },
+      ...pages.map((page: NavEntry) => {
+        let label: string = page.label || PAGES[page.path].label;
+        return {
+          path: page.path,
+          detail: {
+            label: label,
+            title: label,
+            description: PAGES[page.path].description,
+            iconClass: page.iconClass
+          }
+        };
+      })
     ];
     // router setup
     const router = new CoreRouter(navData, {
       urlAdapter: new UrlParamAdapter()
     });
+    PageMeta.describeApp(config.appName || APP_NAME, "Track incidents and the customers they affect.");
+    PageMeta.follow(router);
     router.sync();
 
     this.moduleAdapter = new ModuleRouterAdapter(router);
@@ -83,7 +127,11 @@ class RootViewModel {
 
     // drawer
 
+    // "start" is the leading edge in the page's reading direction: JET puts
+    // the drawer on the right, and swipes it closed to the right, in a
+    // dir="rtl" page (see main.js), so the edge must not be flipped here
     this.drawerParams = {
+      edge: "start",
       displayMode: "push",
       selector: "#navDrawer",
       content: "#pageContent"
@@ -103,26 +151,51 @@ class RootViewModel {
 
     // header
 
-    // application Name used in Branding Area
-    this.appName = ko.observable("Oracle JET + TypeScript App");
-    // user Info used in Global Navigation area
-
-    this.userLogin = ko.observable("tirumal@gmail.com");
-    // footer
-    this.footerLinks = [
-      {name: 'About Oracle', linkId: 'aboutOracle', linkTarget:'http://www.oracle.com/us/corporate/index.html#menu-about'},
-      { name: "Contact Us", id: "contactUs", linkTarget: "http://www.oracle.com/us/corporate/contact/index.html" },
-      { name: "Legal Notices", id: "legalNotices", linkTarget: "http://www.oracle.com/us/legal/index.html" },
-      { name: "Terms Of Use", id: "termsOfUse", linkTarget: "http://www.oracle.com/us/legal/terms/index.html" },
-      { name: "Your Privacy Rights", id: "yourPrivacyRights", linkTarget: "http://www.oracle.com/us/legal/privacy/index.html" },
-    ];
+    // application Name and logo used in Branding Area
+    this.appName = ko.observable(config.appName || APP_NAME);
+    this.logo = { src: config.logo.src, iconClass: config.logo.iconClass, label: config.logo.label || "Oracle Logo" };
+    // optional parts of the shell that the configuration switches on and off
+    this.features = config.features;
+    // user Info used in Global Navigation area, from the application
+    // server's /api/me; the user menu stays hidden while this is empty
+    this.userLogin = ko.observable("");
+    this.loadUser();
+    this.locales = new ArrayDataProvider(LOCALES, { keyAttributes: "value" });
+
+    // footer, each link named by the configuration or else by its id
+    this.footerLinks = config.footerLinks.map((link: FooterLink) => {
+      return { id: link.id, name: link.name || FOOTER_NAMES[link.id] || link.linkTarget, linkTarget: link.linkTarget };
+    });
     // release the application bootstrap busy state
     Context.getPageContext().getBusyContext().applicationBootstrapComplete();        
   }
 
-  announcementHandler = (event: any): void => {
-      this.message(event.detail.message);
-      this.manner(event.detail.manner);
+  // the signed in user, as known to the application server's session; left
+  // empty when the server does not serve /api/me or nobody is signed in
+  loadUser = (): Promise<void> => {
+    return fetch("api/me", { credentials: "same-origin", headers: { "Accept": "application/json" } })
+      .then((response: Response) => response.ok ? response.json() : Promise.reject(response.status))
+      .then((user: { email: string }) => {
+        this.userLogin(user.email || "");
+      }, () => {
+        this.userLogin("");
+      });
+  }
+
+  // called by the Language menu; the locale picked is saved on this device
+  // and the page reloads in it (see main.js)
+  pickLocale = (event: CustomEvent<{ selectedValue: string }>): void => {
+    let value: string = event.detail.selectedValue;
+    if (LOCALES.some((locale) => locale.value === value)) {
+      localStorage.setItem("locale", value);
+      location.reload();
+    }
+  }
+
+  // called by the skip link, moves focus to the page on screen
+  skipToContent = (event: Event): void => {
+    event.preventDefault();
+    AccUtils.focusPage();
   }
 
   // called by navigation drawer toggle button and after selection of nav drawer item
@@ -131,4 +204,4 @@ class RootViewModel {
   }
 }
 
-export default new RootViewModel();
+export default RootViewModel;
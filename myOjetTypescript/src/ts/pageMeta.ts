@@ -0,0 +1,104 @@
+/**
+ * @license
+ * Copyright (c) 2014, 2018, Oracle and/or its affiliates.
+ * The Universal Permissive License (UPL), Version 1.0
+ */
+/*
+ * The document title and description of the page on screen, taken from the
+ * details of its route, and announcing each page once it is shown.
+ *
+ * The shell hands its router to follow(), and so does every page that has
+ * child routes of its own. A child route without a title or description shows
+ * those of the route it is nested in. The title reads "<page> – <app name>".
+ */
+import CoreRouter = require("ojs/ojcorerouter");
+import * as AccUtils from "./accUtils";
+
+export interface PageDetail {
+  // the page title, or a function of the router state returning it, for
+  // routes with parameters such as incidents/<id>
+  title?: string | ((state: CoreRouter.CoreRouterState<PageDetail>) => string);
+  // what the page is for, for the description meta element
+  description?: string;
+}
+
+type Followed = { state?: CoreRouter.CoreRouterState<PageDetail>; observer?: CoreRouter.Observer };
+
+// the followed routers whose state is on screen, each nested in the one before
+let shown: Followed[] = [];
+let appName: string = "";
+let appDescription: string = "";
+let announced: string | null = null;
+
+function pageTitle(): string | undefined {
+  for (let i = shown.length - 1; i >= 0; i--) {
+    let state = shown[i].state;
+    let title = state && state.detail && state.detail.title;
+    if (title) {
+      return typeof title === "function" ? title(state as CoreRouter.CoreRouterState<PageDetail>) : title;
+    }
+  }
+  return undefined;
+}
+
+function pageDescription(): string {
+  for (let i = shown.length - 1; i >= 0; i--) {
+    let state = shown[i].state;
+    if (state && state.detail && state.detail.description) {
+      return state.detail.description;
+    }
+  }
+  return appDescription;
+}
+
+function update(): void {
+  let page: string | undefined = pageTitle();
+  document.title = page ? page + " – " + appName : appName;
+  let description: HTMLMetaElement | null = document.querySelector("meta[name='description']");
+  if (description) {
+    description.content = pageDescription();
+  }
+}
+
+/**
+ * Name the application, and describe it for the pages that do not describe
+ * themselves. Called by the shell before it follows its router.
+ */
+export function describeApp(name: string, description: string): void {
+  appName = name;
+  appDescription = description;
+}
+
+/**
+ * Keep the title and description in step with the state of `router`.
+ * Routers nested in it that were followed before are let go of when it moves
+ * on, as their pages are no longer shown.
+ */
+export function follow<D extends PageDetail>(router: CoreRouter<D>): void {
+  let followed: Followed = {};
+  shown.push(followed);
+  followed.observer = router.currentState.subscribe((value: CoreRouter.ActionableState<D>) => {
+    if (!value.state || shown.indexOf(followed) === -1) {
+      return;
+    }
+    shown.splice(shown.indexOf(followed) + 1).forEach((nested: Followed) => {
+      (nested.observer as CoreRouter.Observer).unsubscribe();
+    });
+    followed.state = value.state as CoreRouter.CoreRouterState<PageDetail>;
+    update();
+  });
+}
+
+// A page is announced once an oj-module in the main region has shown it, and
+// only if it has another title than the page announced before, which leaves
+// out modules inside a page. ojTransitionEnd does not bubble, so it is caught
+// on its way down.
+document.addEventListener("ojTransitionEnd", (event: Event) => {
+  let main: HTMLElement | null = document.querySelector("[role='main']");
+  let page: string | undefined = pageTitle();
+  if (!main || !main.contains(event.target as Node) || !page || page === announced) {
+    return;
+  }
+  announced = page;
+  AccUtils.announce(page + " page loaded.");
+}, true);
@@ -1,5 +1,6 @@
 import * as ko from "knockout";
-import rootViewModel from "./appController";
+import RootViewModel from "./appController";
+import * as AppConfig from "./appConfig";
 import "ojs/ojknockout";
 import "ojs/ojmodule";
 import "ojs/ojnavigationlist";
@@ -9,8 +10,12 @@ import "ojs/ojtoolbar";
 export = class Root {
   static init(): void {
     function _init(): void {
-      // bind your ViewModel for the content of the whole page body.
-      ko.applyBindings(rootViewModel, document.getElementById("globalBody"));
+      // the shell is built from the application server's configuration, or
+      // the built-in one without it
+      AppConfig.load().then((config: AppConfig.AppConfig) => {
+        // bind your ViewModel for the content of the whole page body.
+        ko.applyBindings(new RootViewModel(config), document.getElementById("globalBody"));
+      });
     }
     // if running in a hybrid (e.g. Cordova) environment, we need to wait for the deviceready
     // event before executing any code that might interact with Cordova APIs or plugins.
@@ -1,4 +1,3 @@
-import * as AccUtils from "../accUtils";
 class AboutViewModel {
 
   constructor() {
@@ -14,8 +13,6 @@ class AboutViewModel {
    * after being disconnected.
    */
   connected(): void {
-    AccUtils.announce("About page loaded.");
-    document.title = "About";
     // implement further logic if needed
   }
 
@@ -1,4 +1,3 @@
-import * as AccUtils from "../accUtils";
 class CustomersViewModel {
 
   constructor() {
@@ -14,8 +13,6 @@ class CustomersViewModel {
    * after being disconnected.
    */
   connected(): void {
-    AccUtils.announce("Customers page loaded.");
-    document.title = "Customers";
     // implement further logic if needed
   }
 
@@ -1,4 +1,3 @@
-import * as AccUtils from "../accUtils";
 class DashboardViewModel {
 
   constructor() {
@@ -14,8 +13,6 @@ class DashboardViewModel {
    * after being disconnected.
    */
   connected(): void {
-    AccUtils.announce("Dashboard page loaded.");
-    document.title = "Dashboard";
     // implement further logic if needed
   }
 
@@ -1,4 +1,3 @@
-import * as AccUtils from "../accUtils";
 class IncidentsViewModel {
 
   constructor() {
@@ -14,8 +13,6 @@ class IncidentsViewModel {
    * after being disconnected.
    */
   connected(): void {
-    AccUtils.announce("Incidents page loaded.");
-    document.title = "Incidents";
     // implement further logic if needed
   }
 
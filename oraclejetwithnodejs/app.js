@@ -3,24 +3,56 @@ var express = require('express');
 var path = require('path');
 var cookieParser = require('cookie-parser');
 var logger = require('morgan');
+var errors = require('./lib/errors');
+var flags = require('./lib/flags');
+var identity = require('./lib/identity');
+var template = require('./lib/template');
 
 var indexRouter = require('./routes/index');
-//var usersRouter = require('./routes/users');
+var configRouter = require('./routes/config');
+var customersRouter = require('./routes/customers');
+var incidentsRouter = require('./routes/incidents');
+var statsRouter = require('./routes/stats');
+var preferencesRouter = require('./routes/preferences');
+var sessionRouter = require('./routes/session');
+var meRouter = require('./routes/me');
+var usersRouter = require('./routes/users');
+var flagsRouter = require('./routes/flags');
 
 var app = express();
 
 // view engine setup
 app.set('views', path.join(__dirname, 'views'));
 //app.set('view engine', 'jade');
+app.engine('html', template.engine);
+app.set('view engine', 'html');
 
-app.use(logger('dev'));
+logger.token('id', function(req) {
+  return req.id;
+});
+
+app.use(errors.requestId);
+app.use(logger(':id :method :url :status :response-time ms - :res[content-length]'));
 app.use(express.json());
 app.use(express.urlencoded({ extended: false }));
 app.use(cookieParser());
-app.use(express.static(path.join(__dirname, 'public')));
+// index.html is not served as it is, routes/index.js puts the locale in it
+app.use(express.static(path.join(__dirname, 'public'), { index: false }));
 
 app.use('/', indexRouter);
-//app.use('/users', usersRouter);
+// Everything under /api needs a signed in user, apart from what the shell
+// starts from and signing in itself
+app.use('/api/config', configRouter);
+app.use('/api', identity.currentUser);
+app.use('/api/session', sessionRouter);
+app.use('/api', identity.requireUser);
+app.use('/api/me', meRouter);
+app.use('/api/customers', customersRouter);
+app.use('/api/incidents', incidentsRouter);
+app.use('/api/stats', statsRouter);
+app.use('/api/preferences', preferencesRouter);
+app.use('/api/flags', flagsRouter);
+app.use('/api/users', identity.requireRole('admin'), flags.requireFlag('userAdministration'), usersRouter);
 
 // catch 404 and forward to error handler
 app.use(function(req, res, next) {
@@ -28,14 +60,6 @@ app.use(function(req, res, next) {
 });
 
 // error handler
-app.use(function(err, req, res, next) {
-  // set locals, only providing error in development
-  res.locals.message = err.message;
-  res.locals.error = req.app.get('env') === 'development' ? err : {};
-
-  // render the error page
-  res.status(err.status || 500);
-  res.render('error');
-});
+app.use(errors.errorHandler);
 
 module.exports = app;
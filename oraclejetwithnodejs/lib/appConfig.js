@@ -0,0 +1,159 @@
+/**
+ * What the shells are built from: the application's name and logo, the pages
+ * in the navigation bar, the footer links and the features that can be
+ * switched off. Served at /api/config (routes/config.js).
+ *
+ * It is read from config/app.json, or the JSON file named by APP_CONFIG, when
+ * the server starts, and a file that does not fit the description below
+ * stops the server from starting.
+ *
+ *   appName      optional, the translated name in the client's strings
+ *                otherwise
+ *   logo         { iconClass } naming an icon font class, or { src } an
+ *                image; `label` is its text alternative, translated
+ *                "Oracle logo" otherwise
+ *   nav          the pages in the order they are listed, each
+ *                { path, iconClass, role, flag, label }. `path` names a page
+ *                in public/js/viewModels, `role` is the least role that may
+ *                open it, `flag` a feature flag (lib/flags.js) that must be on
+ *                for it and `label` replaces its translated name
+ *   footerLinks  each { id, linkTarget, name }, `name` replacing the
+ *                translated one for `id`
+ *   features     feature name to true or false, for the shell's optional
+ *                parts (help, syncStatus)
+ */
+
+var fs = require('fs');
+var path = require('path');
+var flags = require('./flags');
+var identity = require('./identity');
+
+var FILE = process.env.APP_CONFIG || path.join(__dirname, '..', 'config', 'app.json');
+var PAGES_DIR = path.join(__dirname, '..', 'public', 'js', 'viewModels');
+var NAME = /^[A-Za-z][\w-]*$/;
+
+function isText(value) {
+  return typeof value === 'string' && value.trim() !== '';
+}
+
+function isObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Add a problem for each of `fields` of `entry` that is not text. Those in
+ * `optional` may also be left out.
+ */
+
+function checkText(problems, where, entry, fields, optional) {
+  fields.forEach(function(field) {
+    if (!isText(entry[field]) && !(optional.indexOf(field) !== -1 && entry[field] === undefined)) {
+      problems.push(where + '.' + field + ' must be a non-empty string');
+    }
+  });
+}
+
+/**
+ * The problems with `config`, an empty list when there are none.
+ */
+
+function check(config) {
+  var problems = [];
+  if (!isObject(config)) {
+    return ['the configuration must be an object'];
+  }
+  if (config.appName !== undefined && !isText(config.appName)) {
+    problems.push('appName must be a non-empty string');
+  }
+
+  if (!isObject(config.logo)) {
+    problems.push('logo must be an object');
+  } else {
+    checkText(problems, 'logo', config.logo, ['iconClass', 'src', 'label'], ['iconClass', 'src', 'label']);
+    if ((config.logo.iconClass === undefined) === (config.logo.src === undefined)) {
+      problems.push('logo needs either iconClass or src');
+    }
+  }
+
+  if (!Array.isArray(config.nav) || !config.nav.length) {
+    problems.push('nav must list at least one page');
+  } else {
+    var paths = [];
+    config.nav.forEach(function(page, index) {
+      var where = 'nav[' + index + ']';
+      if (!isObject(page)) {
+        problems.push(where + ' must be an object');
+        return;
+      }
+      checkText(problems, where, page, ['path', 'iconClass', 'label'], ['label']);
+      if (isText(page.path)) {
+        if (!NAME.test(page.path) || !fs.existsSync(path.join(PAGES_DIR, page.path + '.js'))) {
+          problems.push(where + '.path ' + page.path + ' is not a page of the application');
+        } else if (paths.indexOf(page.path) !== -1) {
+          problems.push(where + '.path ' + page.path + ' is listed twice');
+        }
+        paths.push(page.path);
+      }
+      if (page.role !== undefined && identity.ROLES.indexOf(page.role) === -1) {
+        problems.push(where + '.role must be one of ' + identity.ROLES.join(', '));
+      }
+      if (page.flag !== undefined && !flags.exists(page.flag)) {
+        problems.push(where + '.flag ' + page.flag + ' is not a feature flag');
+      }
+    });
+  }
+
+  if (!Array.isArray(config.footerLinks)) {
+    problems.push('footerLinks must be a list');
+  } else {
+    var ids = [];
+    config.footerLinks.forEach(function(link, index) {
+      var where = 'footerLinks[' + index + ']';
+      if (!isObject(link)) {
+        problems.push(where + ' must be an object');
+        return;
+      }
+      checkText(problems, where, link, ['id', 'linkTarget', 'name'], ['name']);
+      if (isText(link.id) && !NAME.test(link.id)) {
+        problems.push(where + '.id must start with a letter and hold only letters, digits, _ and -');
+      } else if (ids.indexOf(link.id) !== -1) {
+        problems.push(where + '.id ' + link.id + ' is used twice');
+      }
+      ids.push(link.id);
+    });
+  }
+
+  if (config.features !== undefined) {
+    if (!isObject(config.features)) {
+      problems.push('features must be an object');
+    } else {
+      Object.keys(config.features).forEach(function(name) {
+        if (typeof config.features[name] !== 'boolean') {
+          problems.push('features.' + name + ' must be true or false');
+        }
+      });
+    }
+  }
+  return problems;
+}
+
+/**
+ * Read and check the configuration in `file`.
+ */
+
+function load(file) {
+  var config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error('Cannot read the application configuration ' + file + ': ' + err.message);
+  }
+  var problems = check(config);
+  if (problems.length) {
+    throw new Error('The application configuration ' + file + ' is not valid:\n  ' + problems.join('\n  '));
+  }
+  config.features = config.features || {};
+  return config;
+}
+
+module.exports = load(FILE);
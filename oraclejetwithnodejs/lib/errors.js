@@ -0,0 +1,85 @@
+/**
+ * Request ids and the application error handler.
+ */
+
+var crypto = require('crypto');
+var http = require('http');
+
+/**
+ * Give every request an id, reusing the caller's X-Request-Id when it sends
+ * one, and echo it back so a report can be matched to the server log.
+ */
+
+function requestId(req, res, next) {
+  var incoming = req.get('X-Request-Id');
+  req.id = incoming && /^[\w-]{1,64}$/.test(incoming) ? incoming : crypto.randomBytes(8).toString('hex');
+  res.set('X-Request-Id', req.id);
+  next();
+}
+
+/**
+ * Turn an HTTP status into an error code, e.g. 404 -> NOT_FOUND.
+ */
+
+function statusCode(status) {
+  return (http.STATUS_CODES[status] || 'Error').toUpperCase().replace(/[^A-Z]+/g, '_');
+}
+
+function wantsJson(req) {
+  return req.originalUrl.indexOf('/api/') === 0 || req.accepts(['html', 'json']) === 'json';
+}
+
+/**
+ * Final error handler. API and JSON clients get
+ * { status, code, message, requestId, errors, current }, browsers get the
+ * error view. `current` is the server's copy of a record in a version
+ * conflict (see lib/versions.js).
+ * Stack traces are only included in development, and the message of an
+ * unexpected (5xx) error is replaced by the generic status text outside
+ * development so internals do not leak.
+ */
+
+function errorHandler(err, req, res, next) {
+  var status = err.status || err.statusCode || 500;
+  var development = req.app.get('env') === 'development';
+  var message = err.expose || development ? err.message : http.STATUS_CODES[status];
+  var body = {
+    status: status,
+    code: err.expose && typeof err.code === 'string' ? err.code : statusCode(status),
+    message: message,
+    requestId: req.id
+  };
+
+  if (status >= 500) {
+    console.error('[' + req.id + ']', err.stack || err);
+  }
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  res.status(status);
+
+  if (wantsJson(req)) {
+    if (err.errors) {
+      body.errors = err.errors;
+    }
+    if (err.current) {
+      body.current = err.current;
+    }
+    if (development) {
+      body.stack = err.stack;
+    }
+    res.json(body);
+    return;
+  }
+
+  res.render('error', Object.assign(body, {
+    title: status + ' ' + (http.STATUS_CODES[status] || 'Error'),
+    stack: development ? err.stack : null
+  }));
+}
+
+module.exports = {
+  errorHandler: errorHandler,
+  requestId: requestId
+};
@@ -0,0 +1,228 @@
+/**
+ * Feature flags: parts of the application that are switched on for some
+ * users and off for others, without a new release.
+ *
+ * Flags are defined in config/flags.json, or the JSON file named by
+ * FLAGS_CONFIG, read when the server starts. Each flag name maps to
+ *
+ *   description   what the flag switches, shown to admins
+ *   enabled       false switches the flag off for everyone
+ *   environments  optional, the environments it may be on in (the app's
+ *                 `env` setting, from NODE_ENV); all of them otherwise
+ *   roles         optional, the roles it may be on for; all of them otherwise
+ *   rollout       optional, the percentage of users it is on for, 100
+ *                 otherwise. Users are picked by their id, so a user keeps
+ *                 seeing the same thing and raising the percentage only adds
+ *                 users
+ *
+ * Admins change `enabled` and `rollout` while the server runs (see
+ * routes/flags.js). Their changes are kept in the flags collection and win
+ * over the file, so they outlast a restart; deleting data/flags.json goes
+ * back to the file.
+ */
+
+var crypto = require('crypto');
+var fs = require('fs');
+var path = require('path');
+var createError = require('http-errors');
+var store = require('./store');
+var identity = require('./identity');
+
+var FILE = process.env.FLAGS_CONFIG || path.join(__dirname, '..', 'config', 'flags.json');
+var NAME = /^[A-Za-z][\w-]*$/;
+
+var changes = store.collection('flags');
+
+function isList(value, check) {
+  return Array.isArray(value) && value.every(check);
+}
+
+function isRollout(value) {
+  return typeof value === 'number' && value >= 0 && value <= 100 && Math.floor(value) === value;
+}
+
+/**
+ * The problems with the flag `name` defined as `flag`.
+ */
+
+function check(name, flag) {
+  var problems = [];
+  if (!NAME.test(name)) {
+    problems.push(name + ' must start with a letter and hold only letters, digits, _ and -');
+  }
+  if (!flag || typeof flag !== 'object' || Array.isArray(flag)) {
+    return problems.concat(name + ' must be an object');
+  }
+  if (typeof flag.description !== 'string' || !flag.description.trim()) {
+    problems.push(name + '.description must be a non-empty string');
+  }
+  if (typeof flag.enabled !== 'boolean') {
+    problems.push(name + '.enabled must be true or false');
+  }
+  if (flag.environments !== undefined && !isList(flag.environments, function(environment) {
+    return typeof environment === 'string' && environment.trim() !== '';
+  })) {
+    problems.push(name + '.environments must be a list of environment names');
+  }
+  if (flag.roles !== undefined && !isList(flag.roles, function(role) {
+    return identity.ROLES.indexOf(role) !== -1;
+  })) {
+    problems.push(name + '.roles must be a list of ' + identity.ROLES.join(', '));
+  }
+  if (flag.rollout !== undefined && !isRollout(flag.rollout)) {
+    problems.push(name + '.rollout must be a whole number from 0 to 100');
+  }
+  return problems;
+}
+
+/**
+ * Read and check the flag definitions in `file`.
+ */
+
+function load(file) {
+  var defined;
+  try {
+    defined = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error('Cannot read the feature flags ' + file + ': ' + err.message);
+  }
+  if (!defined || typeof defined !== 'object' || Array.isArray(defined)) {
+    throw new Error('The feature flags ' + file + ' must be an object of flags by name');
+  }
+  var problems = Object.keys(defined).reduce(function(all, name) {
+    return all.concat(check(name, defined[name]));
+  }, []);
+  if (problems.length) {
+    throw new Error('The feature flags ' + file + ' are not valid:\n  ' + problems.join('\n  '));
+  }
+  return defined;
+}
+
+var defined = load(FILE);
+
+function findChange(name) {
+  return changes.list(function(change) {
+    return change.name === name;
+  })[0];
+}
+
+/**
+ * Whether a flag with `name` is defined.
+ */
+
+function exists(name) {
+  return Object.prototype.hasOwnProperty.call(defined, name);
+}
+
+/**
+ * The flag `name` as it stands: its definition with an admin's changes
+ * applied, and `changedAt` when there are any.
+ */
+
+function get(name) {
+  if (!exists(name)) {
+    return undefined;
+  }
+  var flag = defined[name];
+  var change = findChange(name);
+  return {
+    name: name,
+    description: flag.description,
+    enabled: change && change.enabled !== undefined ? change.enabled : flag.enabled,
+    environments: flag.environments || null,
+    roles: flag.roles || null,
+    rollout: change && change.rollout !== undefined ? change.rollout : (flag.rollout === undefined ? 100 : flag.rollout),
+    changedAt: change ? change.updatedAt : null
+  };
+}
+
+/**
+ * Every flag as it stands, by name.
+ */
+
+function list() {
+  return Object.keys(defined).sort().map(get);
+}
+
+/**
+ * Where `userId` falls among all users for the flag `name`, from 0 up to but
+ * not including 100. The flag name is part of it so that each flag is rolled
+ * out to other users first.
+ */
+
+function bucket(name, userId) {
+  var hash = crypto.createHash('sha256').update(name + ':' + userId).digest();
+  return hash.readUInt32BE(0) / 0x100000000 * 100;
+}
+
+/**
+ * Whether the flag `name` is on for `user` in `environment`. Unknown flags
+ * are off.
+ */
+
+function isOn(name, user, environment) {
+  var flag = get(name);
+  if (!flag || !flag.enabled) {
+    return false;
+  }
+  if (flag.environments && flag.environments.indexOf(environment) === -1) {
+    return false;
+  }
+  if (flag.roles && (!user || flag.roles.indexOf(user.role) === -1)) {
+    return false;
+  }
+  return flag.rollout >= 100 || (!!user && bucket(name, user.id) < flag.rollout);
+}
+
+/**
+ * Every flag, on or off for `user` in `environment`, by name.
+ */
+
+function evaluate(user, environment) {
+  var result = {};
+  Object.keys(defined).forEach(function(name) {
+    result[name] = isOn(name, user, environment);
+  });
+  return result;
+}
+
+/**
+ * Middleware answering 404 when the flag `name` is off for the signed in
+ * user, for the API behind a flagged part of the application.
+ */
+
+function requireFlag(name) {
+  return function(req, res, next) {
+    if (!isOn(name, req.user, req.app.get('env'))) {
+      return next(createError(404));
+    }
+    next();
+  };
+}
+
+/**
+ * Change `enabled` and `rollout` of the flag `name`, as `values` says.
+ */
+
+function update(name, values) {
+  if (!exists(name)) {
+    throw createError(404, 'Feature flag ' + name + ' not found');
+  }
+  var change = findChange(name);
+  if (change) {
+    changes.update(change.id, values);
+  } else {
+    changes.insert(Object.assign({ name: name }, values));
+  }
+  return get(name);
+}
+
+module.exports = {
+  evaluate: evaluate,
+  exists: exists,
+  get: get,
+  isOn: isOn,
+  list: list,
+  requireFlag: requireFlag,
+  update: update
+};
@@ -0,0 +1,162 @@
+/**
+ * Works out which user a request belongs to.
+ *
+ * Signing in (routes/session.js) starts a session: a random token is handed
+ * to the browser in an httpOnly cookie and only its SHA-256 digest is kept
+ * in the sessions collection. Sessions expire after SESSION_TTL without use.
+ *
+ * Every user has one of ROLES, each allowed everything the roles before it
+ * are: viewers read, agents also create and edit, admins also delete and
+ * manage users.
+ */
+
+var crypto = require('crypto');
+var createError = require('http-errors');
+var store = require('./store');
+
+var ROLES = ['viewer', 'agent', 'admin'];
+var COOKIE = 'sid';
+var SESSION_TTL = 12 * 60 * 60 * 1000;
+
+var users = store.collection('users');
+var sessions = store.collection('sessions');
+
+function digest(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function cookieOptions(req) {
+  return { httpOnly: true, sameSite: 'lax', secure: req.secure };
+}
+
+function findSession(req) {
+  var token = req.cookies[COOKIE];
+  if (!token) {
+    return undefined;
+  }
+  var tokenHash = digest(token);
+  return sessions.list(function(session) {
+    return session.tokenHash === tokenHash;
+  })[0];
+}
+
+/**
+ * The fields of a user record that may be sent to clients.
+ */
+
+function publicUser(user) {
+  return { id: user.id, email: user.email, name: user.name, role: user.role };
+}
+
+/**
+ * Whether `user` has `role` or a role above it.
+ */
+
+function hasRole(user, role) {
+  return !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+/**
+ * Look up the user with `email`, ignoring case.
+ */
+
+function findUser(email) {
+  var wanted = String(email).toLowerCase();
+  return users.list(function(user) {
+    return user.email.toLowerCase() === wanted;
+  })[0];
+}
+
+/**
+ * Set req.user and req.userId when the request carries a live session.
+ * Expired sessions are removed; a session's expiry is pushed back once half
+ * of it has been used, so the store is not rewritten on every request.
+ */
+
+function currentUser(req, res, next) {
+  var session = findSession(req);
+  var now = Date.now();
+  if (session && new Date(session.expiresAt).getTime() <= now) {
+    sessions.remove(session.id);
+    session = undefined;
+  }
+  var user = session && users.get(session.userId);
+  if (user) {
+    if (new Date(session.expiresAt).getTime() - now < SESSION_TTL / 2) {
+      sessions.update(session.id, { expiresAt: new Date(now + SESSION_TTL).toISOString() });
+    }
+    req.session = session;
+    req.user = user;
+    req.userId = user.id;
+  }
+  next();
+}
+
+/**
+ * Reject requests without a signed in user with 401.
+ */
+
+function requireUser(req, res, next) {
+  if (!req.user) {
+    return next(createError(401, 'Sign in to continue', { code: 'UNAUTHENTICATED' }));
+  }
+  next();
+}
+
+/**
+ * Middleware rejecting users below `role` with 403.
+ */
+
+function requireRole(role) {
+  return function(req, res, next) {
+    if (!hasRole(req.user, role)) {
+      return next(createError(403, 'This needs the ' + role + ' role'));
+    }
+    next();
+  };
+}
+
+/**
+ * Start a session for `user` and hand its token to the browser.
+ */
+
+function signIn(req, res, user) {
+  var token = crypto.randomBytes(32).toString('hex');
+  var now = Date.now();
+  // sweep sessions that ran out since the last sign in
+  sessions.list(function(session) {
+    return new Date(session.expiresAt).getTime() <= now;
+  }).forEach(function(session) {
+    sessions.remove(session.id);
+  });
+  sessions.insert({
+    tokenHash: digest(token),
+    userId: user.id,
+    expiresAt: new Date(now + SESSION_TTL).toISOString()
+  });
+  res.cookie(COOKIE, token, cookieOptions(req));
+}
+
+/**
+ * End the request's session, if it has one, and drop the cookie.
+ */
+
+function signOut(req, res) {
+  var session = findSession(req);
+  if (session) {
+    sessions.remove(session.id);
+  }
+  res.clearCookie(COOKIE, cookieOptions(req));
+}
+
+module.exports = {
+  ROLES: ROLES,
+  currentUser: currentUser,
+  requireUser: requireUser,
+  requireRole: requireRole,
+  hasRole: hasRole,
+  findUser: findUser,
+  publicUser: publicUser,
+  signIn: signIn,
+  signOut: signOut
+};
@@ -0,0 +1,115 @@
+/**
+ * The locales the client is translated into, and picking one of them for a
+ * request.
+ *
+ * The locale picked in Preferences is saved with the user's preferences, as
+ * `locale: { tag }` (routes/preferences.js), so it follows them to every
+ * device they sign in on. The browser also keeps the last one picked on it in
+ * the COOKIE cookie (see public/js/strings.js, which lists the same locales)
+ * for when nobody is signed in. Without either the browser's Accept-Language
+ * is followed, matching a listed locale on the whole tag or else on its
+ * language (de-AT is served as de-DE). Anything else gets DEFAULT.
+ */
+
+var store = require('./store');
+
+var LOCALES = ['en-US', 'ar-SA', 'de-DE', 'fr-FR', 'he-IL'];
+var DEFAULT = 'en-US';
+var RTL_LANGUAGES = ['ar', 'he'];
+var COOKIE = 'locale';
+
+var preferences = store.collection('preferences');
+
+function language(tag) {
+  return tag.toLowerCase().split('-')[0];
+}
+
+/**
+ * The listed locale for the language tag `tag`, ignoring case, or undefined.
+ */
+
+function match(tag) {
+  var wanted = String(tag).toLowerCase();
+  return LOCALES.filter(function(locale) {
+    return locale.toLowerCase() === wanted;
+  })[0] || LOCALES.filter(function(locale) {
+    return language(locale) === language(wanted);
+  })[0];
+}
+
+/**
+ * The language ranges of an Accept-Language header, most wanted first.
+ * Ranges with a q of 0, or one that is not a number, are left out.
+ */
+
+function parseAcceptLanguage(header) {
+  return String(header || '').split(',').map(function(part, index) {
+    var params = part.split(';');
+    var q = 1;
+    params.slice(1).forEach(function(param) {
+      var pair = param.split('=');
+      if (pair[0].trim() === 'q') {
+        q = Number(pair[1]);
+      }
+    });
+    return { range: params[0].trim(), q: q, index: index };
+  }).filter(function(entry) {
+    return entry.range && entry.q > 0;
+  }).sort(function(a, b) {
+    return b.q - a.q || a.index - b.index;
+  }).map(function(entry) {
+    return entry.range;
+  });
+}
+
+/**
+ * The locale saved for the request: the signed in user's preference, or the
+ * cookie when nobody is signed in (req.user is set by identity.currentUser).
+ */
+
+function saved(req) {
+  if (req.user) {
+    var record = preferences.list(function(candidate) {
+      return candidate.userId === req.user.id;
+    })[0];
+    var preference = record && record.values.locale;
+    return preference && match(preference.tag);
+  }
+  return req.cookies[COOKIE] && match(req.cookies[COOKIE]);
+}
+
+/**
+ * The locale to serve `req` in: the saved one, else the first range of its
+ * Accept-Language that matches, else DEFAULT. Always one of LOCALES.
+ */
+
+function negotiate(req) {
+  var locale = saved(req);
+  if (locale) {
+    return locale;
+  }
+  var ranges = parseAcceptLanguage(req.get('Accept-Language'));
+  for (var i = 0; i < ranges.length; i++) {
+    locale = match(ranges[i]);
+    if (locale) {
+      return locale;
+    }
+  }
+  return DEFAULT;
+}
+
+/**
+ * 'rtl' for the locales written right to left, 'ltr' for the others.
+ */
+
+function direction(locale) {
+  return RTL_LANGUAGES.indexOf(language(locale)) === -1 ? 'ltr' : 'rtl';
+}
+
+module.exports = {
+  COOKIE: COOKIE,
+  DEFAULT: DEFAULT,
+  LOCALES: LOCALES,
+  direction: direction,
+  negotiate: negotiate
+};
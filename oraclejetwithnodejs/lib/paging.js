@@ -0,0 +1,38 @@
+/**
+ * Offset/limit paging shared by the collection endpoints.
+ */
+
+var DEFAULT_LIMIT = 25;
+var MAX_LIMIT = 500;
+
+function parseLimit(value) {
+  var limit = parseInt(value, 10);
+  if (isNaN(limit) || limit < 1) {
+    return DEFAULT_LIMIT;
+  }
+  return Math.min(limit, MAX_LIMIT);
+}
+
+/**
+ * Slice `records` using the `offset` and `limit` query parameters and wrap
+ * the page in the response envelope the JET data providers read.
+ */
+
+function page(records, query) {
+  var offset = Math.max(parseInt(query.offset, 10) || 0, 0);
+  var limit = parseLimit(query.limit);
+  var items = records.slice(offset, offset + limit);
+
+  return {
+    items: items,
+    offset: offset,
+    limit: limit,
+    count: items.length,
+    totalResults: records.length,
+    hasMore: offset + items.length < records.length
+  };
+}
+
+module.exports = {
+  page: page
+};
@@ -0,0 +1,38 @@
+/**
+ * Password hashing with scrypt.
+ *
+ * Hashes are stored as "scrypt$<salt>$<key>", both parts hex encoded, so
+ * the salt travels with the hash and the scheme can be changed later.
+ */
+
+var crypto = require('crypto');
+
+var KEY_LENGTH = 64;
+
+function hash(password, callback) {
+  var salt = crypto.randomBytes(16).toString('hex');
+  crypto.scrypt(password, salt, KEY_LENGTH, function(err, key) {
+    callback(err, err ? undefined : ['scrypt', salt, key.toString('hex')].join('$'));
+  });
+}
+
+/**
+ * Check `password` against a stored hash. Calls back with false, never an
+ * error, when the stored hash is missing or malformed.
+ */
+
+function verify(password, stored, callback) {
+  var parts = typeof stored === 'string' ? stored.split('$') : [];
+  if (parts.length !== 3 || parts[0] !== 'scrypt') {
+    return callback(null, false);
+  }
+  var expected = Buffer.from(parts[2], 'hex');
+  crypto.scrypt(password, parts[1], expected.length, function(err, key) {
+    callback(err, !err && crypto.timingSafeEqual(key, expected));
+  });
+}
+
+module.exports = {
+  hash: hash,
+  verify: verify
+};
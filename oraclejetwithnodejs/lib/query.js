@@ -0,0 +1,73 @@
+/**
+ * Text search and ordering for the collection endpoints.
+ */
+
+/**
+ * Keep the records where any of `fields` contains `q`, ignoring case. A `q`
+ * given more than once searches for its first value, as the other query
+ * parameters are read.
+ */
+
+function search(records, q, fields) {
+  if (Array.isArray(q)) {
+    q = q[0];
+  }
+  var term = String(q || '').trim().toLowerCase();
+  if (!term) {
+    return records;
+  }
+  return records.filter(function(record) {
+    return fields.some(function(field) {
+      var value = record[field];
+      return value !== undefined && value !== null && String(value).toLowerCase().indexOf(term) !== -1;
+    });
+  });
+}
+
+function compare(a, b) {
+  if (a === b) {
+    return 0;
+  }
+  if (a === undefined || a === null) {
+    return 1;
+  }
+  if (b === undefined || b === null) {
+    return -1;
+  }
+  if (typeof a === 'string' && typeof b === 'string') {
+    return a.localeCompare(b, undefined, { sensitivity: 'base' });
+  }
+  return a < b ? -1 : 1;
+}
+
+/**
+ * Sort by an `orderBy` query value such as "name:asc,createdAt:desc". Fields
+ * not listed in `fields` are ignored. Returns a new array.
+ */
+
+function sort(records, orderBy, fields) {
+  var criteria = String(orderBy || '').split(',').map(function(part) {
+    var pair = part.split(':');
+    return { field: pair[0].trim(), direction: pair[1] === 'desc' ? -1 : 1 };
+  }).filter(function(criterion) {
+    return fields.indexOf(criterion.field) !== -1;
+  });
+
+  if (!criteria.length) {
+    return records;
+  }
+  return records.slice().sort(function(a, b) {
+    for (var i = 0; i < criteria.length; i++) {
+      var result = compare(a[criteria[i].field], b[criteria[i].field]);
+      if (result) {
+        return result * criteria[i].direction;
+      }
+    }
+    return 0;
+  });
+}
+
+module.exports = {
+  search: search,
+  sort: sort
+};
@@ -0,0 +1,146 @@
+/**
+ * File backed record collections.
+ *
+ * Each collection lives in data/<name>.json. The first time a collection is
+ * opened the file is created from data/seed/<name>.json, so the seed files
+ * stay untouched and deleting data/<name>.json resets a collection.
+ *
+ * Every record carries a `version` that starts at 1 and goes up by one with
+ * each update, so clients can tell whether their copy is still current.
+ */
+
+var fs = require('fs');
+var path = require('path');
+
+var dataDir = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+var seedDir = path.join(__dirname, '..', 'data', 'seed');
+
+var collections = {};
+
+/**
+ * Read a JSON array from disk, or return null if the file does not exist.
+ */
+
+function readRecords(file) {
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Whether two field values are the same, comparing objects and lists by
+ * what they hold.
+ */
+
+function same(a, b) {
+  return a === b || JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * A named set of records keyed by a numeric `id`.
+ */
+
+function Collection(name) {
+  this.name = name;
+  this.file = path.join(dataDir, name + '.json');
+  this.records = readRecords(this.file) || readRecords(path.join(seedDir, name + '.json')) || [];
+  this.records.forEach(function(record) {
+    if (record.version === undefined) {
+      record.version = 1;
+    }
+  });
+  this.nextId = this.records.reduce(function(max, record) {
+    return Math.max(max, record.id);
+  }, 0) + 1;
+}
+
+Collection.prototype.save = function() {
+  fs.mkdirSync(dataDir, { recursive: true });
+  fs.writeFileSync(this.file, JSON.stringify(this.records, null, 2) + '\n');
+};
+
+/**
+ * Return every record, optionally narrowed by a predicate.
+ */
+
+Collection.prototype.list = function(predicate) {
+  return predicate ? this.records.filter(predicate) : this.records.slice();
+};
+
+Collection.prototype.get = function(id) {
+  id = Number(id);
+  return this.records.find(function(record) {
+    return record.id === id;
+  });
+};
+
+Collection.prototype.insert = function(values) {
+  var now = new Date().toISOString();
+  var record = Object.assign({}, values, {
+    id: this.nextId++,
+    version: 1,
+    createdAt: now,
+    updatedAt: now
+  });
+  this.records.push(record);
+  this.save();
+  return record;
+};
+
+/**
+ * Merge `changes` into an existing record. Returns undefined when the id is
+ * unknown. When every field in `changes` already holds that value the record
+ * is returned as it is, keeping its version, so other clients' copies stay
+ * current.
+ */
+
+Collection.prototype.update = function(id, changes) {
+  var record = this.get(id);
+  if (!record) {
+    return undefined;
+  }
+  var changed = Object.keys(changes).some(function(key) {
+    return !same(record[key], changes[key]);
+  });
+  if (!changed) {
+    return record;
+  }
+  Object.assign(record, changes, {
+    id: record.id,
+    version: record.version + 1,
+    createdAt: record.createdAt,
+    updatedAt: new Date().toISOString()
+  });
+  this.save();
+  return record;
+};
+
+/**
+ * Delete a record. Returns false when the id is unknown.
+ */
+
+Collection.prototype.remove = function(id) {
+  var record = this.get(id);
+  if (!record) {
+    return false;
+  }
+  this.records.splice(this.records.indexOf(record), 1);
+  this.save();
+  return true;
+};
+
+/**
+ * Get the shared collection instance for `name`.
+ */
+
+function collection(name) {
+  if (!collections[name]) {
+    collections[name] = new Collection(name);
+  }
+  return collections[name];
+}
+
+module.exports = {
+  collection: collection
+};
@@ -0,0 +1,55 @@
+/**
+ * A very small HTML view engine for the handful of server rendered pages.
+ *
+ *   {{name}}                  the value of `name`, HTML escaped
+ *   {{#name}} ... {{/name}}   the enclosed block, only when `name` is truthy
+ *
+ * Registered in app.js for the `html` extension so res.render() works with
+ * files in the views directory.
+ */
+
+var fs = require('fs');
+
+var entities = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, function(c) {
+    return entities[c];
+  });
+}
+
+function render(source, locals) {
+  return source
+    .replace(/{{#(\w+)}}([\s\S]*?){{\/\1}}/g, function(match, name, block) {
+      return locals[name] ? block : '';
+    })
+    .replace(/{{(\w+)}}/g, function(match, name) {
+      var value = locals[name];
+      return value === undefined || value === null ? '' : escapeHtml(value);
+    });
+}
+
+/**
+ * Express view engine callback.
+ */
+
+function engine(file, locals, callback) {
+  fs.readFile(file, 'utf8', function(err, source) {
+    if (err) {
+      return callback(err);
+    }
+    callback(null, render(source, locals));
+  });
+}
+
+module.exports = {
+  engine: engine,
+  escapeHtml: escapeHtml,
+  render: render
+};
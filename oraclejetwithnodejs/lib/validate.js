@@ -0,0 +1,80 @@
+/**
+ * Minimal field validation for API request bodies.
+ *
+ * A schema maps field names to rules:
+ *   required   - the value must be present and not blank
+ *   type       - 'string', 'number' or 'boolean'
+ *   maxLength  - maximum string length
+ *   pattern    - RegExp the value must match
+ *   oneOf      - list of allowed values
+ *   message    - text used when `pattern` or `oneOf` fails
+ */
+
+var createError = require('http-errors');
+
+function isBlank(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+function checkField(field, rule, value) {
+  if (isBlank(value)) {
+    return rule.required ? field + ' is required' : null;
+  }
+  if (rule.type && typeof value !== rule.type) {
+    return field + ' must be a ' + rule.type;
+  }
+  if (rule.maxLength && String(value).length > rule.maxLength) {
+    return field + ' must be at most ' + rule.maxLength + ' characters';
+  }
+  if (rule.pattern && !rule.pattern.test(value)) {
+    return rule.message || field + ' is not valid';
+  }
+  if (rule.oneOf && rule.oneOf.indexOf(value) === -1) {
+    return rule.message || field + ' must be one of ' + rule.oneOf.join(', ');
+  }
+  return null;
+}
+
+/**
+ * Copy only the fields named in `schema` from `body`. When `partial` is set,
+ * fields missing from `body` are left out instead of being copied as
+ * undefined.
+ */
+
+function pick(schema, body, partial) {
+  var values = {};
+  Object.keys(schema).forEach(function(field) {
+    if (!partial || Object.prototype.hasOwnProperty.call(body, field)) {
+      values[field] = typeof body[field] === 'string' ? body[field].trim() : body[field];
+    }
+  });
+  return values;
+}
+
+/**
+ * Validate `body` against `schema` and return the cleaned values. Throws a
+ * 400 error carrying an `errors` array of { field, message } when any field
+ * fails, so clients can show each message next to its input.
+ */
+
+function validate(schema, body, options) {
+  var partial = options && options.partial;
+  var values = pick(schema, body || {}, partial);
+  var errors = [];
+
+  Object.keys(values).forEach(function(field) {
+    var message = checkField(field, schema[field], values[field]);
+    if (message) {
+      errors.push({ field: field, message: message });
+    }
+  });
+
+  if (errors.length) {
+    throw createError(400, 'Validation failed', { code: 'VALIDATION_FAILED', errors: errors });
+  }
+  return values;
+}
+
+module.exports = {
+  validate: validate
+};
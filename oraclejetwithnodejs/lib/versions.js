@@ -0,0 +1,79 @@
+/**
+ * Optimistic concurrency for records changed through the API.
+ *
+ * Responses carry the record's version as its ETag. A client that sends the
+ * version its change was based on, as an If-Match header or a `version`
+ * field in the body, gets a 409 with the server's copy when someone else
+ * has changed the record since. Changes that send neither are applied as
+ * before, and a version that is not a number is refused with 400.
+ */
+
+var createError = require('http-errors');
+
+function etag(record) {
+  return '"' + record.version + '"';
+}
+
+/**
+ * `value` as a version number, sent as `field`. Throws a 400 error when it
+ * is not one.
+ */
+
+function toVersion(value, field) {
+  if (!/^\d+$/.test(String(value))) {
+    throw createError(400, field + ' must be a record version', {
+      code: 'VALIDATION_FAILED',
+      errors: [{ field: field, message: field + ' must be a record version' }]
+    });
+  }
+  return Number(value);
+}
+
+/**
+ * The version a change was based on, or undefined when the client did not
+ * say. If-Match wins over the body; "*" matches any version.
+ */
+
+function expectedVersion(req) {
+  var ifMatch = req.get('If-Match');
+  if (ifMatch) {
+    if (ifMatch.trim() === '*') {
+      return undefined;
+    }
+    return toVersion(ifMatch.replace(/^\s*(W\/)?"?|"?\s*$/g, ''), 'If-Match');
+  }
+  if (req.body && req.body.version !== undefined && req.body.version !== null) {
+    return toVersion(req.body.version, 'version');
+  }
+  return undefined;
+}
+
+/**
+ * Throw a VERSION_CONFLICT error carrying `current`, the API representation
+ * of `record`, when the request was based on another version.
+ */
+
+function check(req, record, current) {
+  var expected = expectedVersion(req);
+  if (expected !== undefined && expected !== record.version) {
+    throw createError(409, 'This record was changed by someone else (version ' + record.version +
+      ', your change was based on ' + expected + ')', {
+      code: 'VERSION_CONFLICT',
+      current: current || record
+    });
+  }
+}
+
+/**
+ * Send `body`, the API representation of `record`, with the record's ETag.
+ */
+
+function send(res, record, body) {
+  res.set('ETag', etag(record)).json(body || record);
+}
+
+module.exports = {
+  check: check,
+  etag: etag,
+  send: send
+};
@@ -0,0 +1,33 @@
+/**
+ * Incident statuses, priorities and the allowed status transitions, shared by
+ * the incidents and stats endpoints.
+ */
+
+var STATUSES = ['open', 'in-progress', 'resolved', 'closed'];
+var PRIORITIES = ['low', 'medium', 'high', 'critical'];
+
+/**
+ * Status workflow: open -> in-progress -> resolved -> closed. Resolved and
+ * closed incidents can be reopened.
+ */
+var transitions = {
+  'open': ['in-progress'],
+  'in-progress': ['resolved'],
+  'resolved': ['closed', 'open'],
+  'closed': ['open']
+};
+
+/**
+ * Whether an incident in `status` still needs work.
+ */
+
+function isActive(status) {
+  return status === 'open' || status === 'in-progress';
+}
+
+module.exports = {
+  PRIORITIES: PRIORITIES,
+  STATUSES: STATUSES,
+  isActive: isActive,
+  transitions: transitions
+};
@@ -12,29 +12,130 @@
  * as shown at https://oss.oracle.com/licenses/upl/
  */
 /*
- * Your application specific code will go here
+ * Accessibility for a single page application: announcements through the
+ * aria-live regions in index.html, and moving focus to the page that was
+ * navigated to.
+ *
+ * Each region is a channel with its own queue. A message stays in its region
+ * for MESSAGE_TIME before the next one replaces it, so that a screen reader
+ * reads out a burst of announcements one after the other instead of only the
+ * last one. A message already waiting on its channel, or read out there less
+ * than REPEAT_TIME ago, is dropped.
  */
-define([],
-  function () {
+define(['ojs/ojcontext'],
+  function (Context) {
+    const REGIONS = { polite: 'announcePolite', assertive: 'announceAssertive' };
+    const MESSAGE_TIME = 1000;
+    const REPEAT_TIME = 3000;
+
+    function createChannel(regionId) {
+      let queue = [];
+      // when each message was last read out
+      let recent = new Map();
+      let timer = null;
+
+      function next() {
+        let region = document.getElementById(regionId);
+        timer = null;
+        if (!region) {
+          queue = [];
+          return;
+        }
+        if (!queue.length) {
+          // leave nothing behind for a screen reader to come across later
+          region.textContent = '';
+          return;
+        }
+        let message = queue.shift();
+        region.textContent = message;
+        recent.set(message, Date.now());
+        timer = setTimeout(next, MESSAGE_TIME);
+      }
+
+      return function add(message) {
+        let now = Date.now();
+        recent.forEach((time, read) => {
+          if (now - time >= REPEAT_TIME) {
+            recent.delete(read);
+          }
+        });
+        if (recent.has(message) || queue.indexOf(message) !== -1) {
+          return;
+        }
+        queue.push(message);
+        if (!timer) {
+          next();
+        }
+      };
+    }
+
+    const channels = {
+      polite: createChannel(REGIONS.polite),
+      assertive: createChannel(REGIONS.assertive)
+    };
+
     /**
-     * Method for sending notifications to the aria-live region for Accessibility.
-     * Sending a notice when the page is loaded, as well as changing the page title
-     * is considered best practice for making Single Page Applications Accessbible.
+     * Have screen readers read out `message`. Sending a notice when the page
+     * is loaded, as well as changing the page title, is considered best
+     * practice for making Single Page Applications accessible.
+     * @param {string} message
+     * @param {string=} manner 'polite' (the default) waits for the screen
+     *   reader to finish, 'assertive' interrupts it, 'off' says nothing
      */
-    const validAriaLiveValues = ['off', 'polite', 'assertive'];
-    announce = function (message, manner) {
+    function announce(message, manner) {
+      if (!message || manner === 'off') {
+        return;
+      }
+      channels[manner === 'assertive' ? 'assertive' : 'polite'](message);
+    }
 
-      if (manner == undefined || !validAriaLiveValues.includes(manner)) {
-        manner = 'polite';
+    /**
+     * Move focus to the heading of the page in the main region, once the
+     * page is shown, or to the region itself for a page without one.
+     * @return {Promise} resolved once focus has moved
+     */
+    function focusPage() {
+      let main = document.querySelector('[role="main"]');
+      if (!main) {
+        return Promise.resolve();
       }
+      return Context.getContext(main).getBusyContext().whenReady().then(() => {
+        let target = main.querySelector('h1') || main;
+        // focusable from script, but not added to the tab order
+        if (!target.hasAttribute('tabindex')) {
+          target.setAttribute('tabindex', '-1');
+        }
+        target.focus();
+      });
+    }
 
-      let params = {
-        'bubbles': true,
-        'detail': { 'message': message, 'manner': manner }
-      };
-      document.getElementById('globalBody').dispatchEvent(new CustomEvent('announce', params));
+    /**
+     * Move focus to each page navigated to after the one the application
+     * started on, so keyboard and screen reader users carry on from there
+     * rather than from the link they used. A page has been navigated to when
+     * an oj-module in the main region has switched views and the URL is not
+     * the one focus was last moved for; this also covers pages shown by child
+     * routers, and leaves out modules inside a page, such as dashboard tiles.
+     */
+    function followNavigation() {
+      let shown = null;
+      // ojTransitionEnd does not bubble, so it is caught on its way down
+      document.addEventListener('ojTransitionEnd', (event) => {
+        let main = document.querySelector('[role="main"]');
+        if (!main || !main.contains(event.target) || location.href === shown) {
+          return;
+        }
+        if (shown !== null) {
+          focusPage();
+        }
+        shown = location.href;
+      }, true);
     }
 
-    return { announce: announce };
+    return {
+      announce: announce,
+      focusPage: focusPage,
+      followNavigation: followNavigation
+    };
   }
 );
@@ -0,0 +1,69 @@
+/*
+ * Thin wrapper around fetch() for the application's /api endpoints.
+ */
+define([],
+  function () {
+    /**
+     * Rejection value for a failed API call. Carries the fields of the
+     * server's JSON error body (see lib/errors.js): status, code, message,
+     * requestId and, for validation failures, errors: [{ field, message }].
+     */
+    function ApiError(status, body) {
+      this.name = 'ApiError';
+      this.status = status;
+      this.code = body.code;
+      this.message = body.message || 'Request failed with status ' + status;
+      this.requestId = body.requestId;
+      this.errors = body.errors || [];
+      this.body = body;
+    }
+    ApiError.prototype = Object.create(Error.prototype);
+    ApiError.prototype.constructor = ApiError;
+
+    /**
+     * Send a request and resolve with the parsed JSON body, or undefined for
+     * an empty (204) response. Non 2xx responses reject with an ApiError.
+     *
+     * A 401 because there is no (longer a) session is also announced with an
+     * "unauthenticated" event on the document, so the shell can ask the user
+     * to sign in again.
+     */
+    function request(method, url, body) {
+      let options = {
+        method: method,
+        credentials: 'same-origin',
+        headers: { 'Accept': 'application/json' }
+      };
+      if (body !== undefined) {
+        options.headers['Content-Type'] = 'application/json';
+        options.body = JSON.stringify(body);
+      }
+
+      return fetch(url, options).then((response) => {
+        if (response.status === 204) {
+          return undefined;
+        }
+        return response.json().catch(() => ({})).then((json) => {
+          if (!response.ok) {
+            let error = new ApiError(response.status, json);
+            if (error.code === 'UNAUTHENTICATED') {
+              document.dispatchEvent(new CustomEvent('unauthenticated', { detail: error }));
+            }
+            throw error;
+          }
+          return json;
+        });
+      });
+    }
+
+    return {
+      ApiError: ApiError,
+      request: request,
+      get: (url) => request('GET', url),
+      post: (url, body) => request('POST', url, body),
+      put: (url, body) => request('PUT', url, body),
+      patch: (url, body) => request('PATCH', url, body),
+      del: (url) => request('DELETE', url)
+    };
+  }
+);
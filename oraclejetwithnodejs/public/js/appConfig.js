@@ -0,0 +1,19 @@
+/*
+ * What the shell is built from, as served at /api/config (lib/appConfig.js
+ * on the server): the application's name and logo, the pages in the
+ * navigation bar, the footer links and which optional features are on.
+ *
+ * This is a require.js loader plugin, like ojL10n: a module that depends on
+ * 'appConfig!' is only created once /api/config has answered, and gets the
+ * configuration. The shell cannot be built without it, so loading fails when
+ * the request does.
+ */
+define(['apiClient'],
+  function (apiClient) {
+    return {
+      load: (name, req, onload) => {
+        apiClient.get('api/config').then(onload, onload.error);
+      }
+    };
+  }
+);
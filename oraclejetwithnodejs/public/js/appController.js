@@ -8,63 +8,299 @@
 /*
  * Your application specific code will go here
  */
-define(['knockout', 'ojs/ojcontext', 'ojs/ojmodule-element-utils', 'ojs/ojresponsiveutils', 'ojs/ojresponsiveknockoututils', 'ojs/ojcorerouter', 'ojs/ojmodulerouter-adapter', 'ojs/ojknockoutrouteradapter', 'ojs/ojurlparamadapter', 'ojs/ojarraydataprovider', 'ojs/ojknockouttemplateutils', 'ojs/ojmodule-element', 'ojs/ojknockout'],
-  function(ko, Context, moduleUtils, ResponsiveUtils, ResponsiveKnockoutUtils, CoreRouter, ModuleRouterAdapter, KnockoutRouterAdapter, UrlParamAdapter, ArrayDataProvider, KnockoutTemplateUtils) {
+define(['knockout', 'accUtils', 'apiClient', 'session', 'flags', 'offline', 'conflicts', 'theme', 'strings', 'pageMeta', 'appConfig!', 'ojs/ojcontext', 'ojs/ojmodule-element-utils', 'ojs/ojresponsiveutils', 'ojs/ojresponsiveknockoututils', 'ojs/ojcorerouter', 'ojs/ojmodulerouter-adapter', 'ojs/ojknockoutrouteradapter', 'ojs/ojurlpathadapter', 'ojs/ojarraydataprovider', 'ojs/ojknockouttemplateutils', 'ojs/ojoffcanvas', 'ojs/ojconverter-datetime', 'ojs/ojmodule-element', 'ojs/ojknockout', 'ojs/ojmenu', 'ojs/ojdialog', 'ojs/ojmessages', 'ojs/ojformlayout', 'ojs/ojradioset', 'ojs/ojpopup'],
+  function(ko, accUtils, apiClient, session, flags, offline, conflicts, theme, strings, pageMeta, config, Context, moduleUtils, ResponsiveUtils, ResponsiveKnockoutUtils, CoreRouter, ModuleRouterAdapter, KnockoutRouterAdapter, UrlPathAdapter, ArrayDataProvider, KnockoutTemplateUtils, OffcanvasUtils, DateTimeConverter) {
 
      function ControllerViewModel() {
 
         this.KnockoutTemplateUtils = KnockoutTemplateUtils;
 
-        // Handle announcements sent when pages change, for Accessibility.
-        this.manner = ko.observable('polite');
-        this.message = ko.observable();
+        // Strings for index.html, in the locale picked in Preferences
+        this.strings = strings.app;
+        this.format = strings.format;
 
-        announcementHandler = (event) => {
-          this.message(event.detail.message);
-          this.manner(event.detail.manner);
-      };
-
-      document.getElementById('globalBody').addEventListener('announce', announcementHandler, false);
+        // Focus moves to each page navigated to, and the skip link moves it
+        // to the page on screen (see accUtils.js)
+        accUtils.followNavigation();
+        this.skipToContent = (event) => {
+          event.preventDefault();
+          accUtils.focusPage();
+        };
 
       // Media queries for repsonsive layouts
       const smQuery = ResponsiveUtils.getFrameworkQuery(ResponsiveUtils.FRAMEWORK_QUERY_KEY.SM_ONLY);
       this.smScreen = ResponsiveKnockoutUtils.createMediaQueryObservable(smQuery);
 
-      let navData = [
-        { path: '', redirect: 'dashboard' },
-        { path: 'dashboard', detail: { label: 'Dashboard', iconClass: 'oj-ux-ico-bar-chart' } },
-        { path: 'incidents', detail: { label: 'Incidents', iconClass: 'oj-ux-ico-fire' } },
-        { path: 'customers', detail: { label: 'Customers', iconClass: 'oj-ux-ico-contact-group' } },
-        { path: 'about', detail: { label: 'About', iconClass: 'oj-ux-ico-information-s' } }
-      ];
+      // Optional parts of the shell, switched on and off in the server's
+      // configuration (see appConfig.js)
+      this.features = config.features;
+      // the configured name, the translated one otherwise
+      const appName = config.appName || strings.app.appName;
+
+      // Routes: the pages configured for the navigation bar, in its order,
+      // with the first one as the home page. A page's translated name is used
+      // unless the configuration gives it a label. detail.title and
+      // detail.description go in the document head (see pageMeta.js), and
+      // detail.flag names the feature flag the page is behind (see flags.js).
+      const pages = strings.app.pages;
+      const descriptions = strings.app.descriptions;
+      let navData = [{ path: '', redirect: config.nav[0].path }].concat(config.nav.map((page) => {
+        let label = page.label || pages[page.path];
+        return {
+          path: page.path,
+          detail: {
+            label: label,
+            title: label,
+            description: descriptions[page.path],
+            iconClass: page.iconClass,
+            role: page.role,
+            flag: page.flag
+          }
+        };
+      }), [
+        { path: 'login', detail: { label: pages.login, title: pages.login, hideInNav: true } },
+        { path: 'forbidden', detail: { label: pages.forbidden, title: pages.forbidden, hideInNav: true } }
+      ]);
+      // the user menu's About is left out when the about page is not configured
+      this.hasAbout = config.nav.some((page) => page.path === 'about');
+      // bin/audit-accessibility opens each of these
+      this.navData = navData;
+      // Offline support (see offline.js). Pages wait for it so that even their
+      // first requests can be answered from the device.
+      const offlineReady = offline.init();
+      this.offlineMessages = offline.messages;
+
       // Router setup
+      // Path based URLs (/incidents, /customers/42) relative to the <base href>
+      // in index.html. The server answers these virtual paths with index.html.
       let router = new CoreRouter(navData, {
-        urlAdapter: new UrlParamAdapter()
+        urlAdapter: new UrlPathAdapter(new URL(document.baseURI).pathname)
+      });
+      // The state on screen. CoreRouter only hands it to currentState's
+      // subscribers; it has no property to read it from.
+      let shownState;
+      router.currentState.subscribe((value) => {
+        shownState = value.state;
       });
-      router.sync();
+      pageMeta.nameApp(appName);
+      pageMeta.follow(router);
+
+      // Route guards. A route's detail.role is the least role that may open it
+      // (see session.js). Signed out users only reach the sign in page, and a
+      // page the user's role does not allow shows the "not permitted" page. A
+      // page behind a flag that is off for the user does not exist for them,
+      // so they land on the first page of the navigation bar instead.
+      router.beforeStateChange.subscribe((args) => {
+        let state = args.state;
+        if (!state || state.path === 'login' || state.path === 'forbidden') {
+          return;
+        }
+        args.accept(offlineReady.then(() => session.current()).then((user) => {
+          if (!user) {
+            // the session.user subscription below has gone to the sign in page
+            return Promise.reject('Sign in needed for ' + state.path);
+          }
+          return flags.current();
+        }).then(() => {
+          if (!flags.isOn(state.detail.flag)) {
+            let home = navRoutes()[0];
+            router.go(home ? { path: home.path } : { path: 'forbidden', params: { page: state.detail.label } });
+            return Promise.reject(state.path + ' is switched off');
+          }
+          if (!session.hasRole(state.detail.role)) {
+            router.go({ path: 'forbidden', params: { page: state.detail.label } });
+            return Promise.reject('Not permitted to open ' + state.path);
+          }
+          return undefined;
+        }));
+      });
+      // a first page the guards turn down has been replaced already
+      router.sync().catch(() => undefined);
 
       this.moduleAdapter = new ModuleRouterAdapter(router);
 
       this.selection = new KnockoutRouterAdapter(router);
 
-      // Setup the navDataProvider with the routes, excluding the first redirected
-      // route.
-      this.navDataProvider = new ArrayDataProvider(navData.slice(1), {keyAttributes: "path"});
+      // Setup the navDataProvider with the routes the user may open, excluding
+      // the first redirected route and the pages that are not reached from the
+      // navigation bar. It stays empty until the user's flags are known, so
+      // that pages behind them are not put in between afterwards.
+      const navRoutes = () => !flags.values() ? [] : navData.filter((route) => {
+        return route.detail && !route.detail.hideInNav && session.hasRole(route.detail.role) &&
+          flags.isOn(route.detail.flag);
+      });
+      this.navItems = ko.observableArray(navRoutes());
+      session.user.subscribe(() => this.navItems(navRoutes()));
+      flags.values.subscribe(() => this.navItems(navRoutes()));
+      this.navDataProvider = new ArrayDataProvider(this.navItems, {keyAttributes: "path"});
 
       // Header
-      // Application Name used in Branding Area
-      this.appName = ko.observable("App Name");
+      // Application Name and logo used in Branding Area
+      this.appName = ko.observable(appName);
+      this.logo = {
+        src: config.logo.src,
+        iconClass: config.logo.iconClass,
+        label: config.logo.label || strings.app.shell.logo
+      };
       // User Info used in Global Navigation area
-      this.userLogin = ko.observable("john.hancock@oracle.com");
-
-      // Footer
-      this.footerLinks = [
-        {name: 'About Oracle', linkId: 'aboutOracle', linkTarget:'http://www.oracle.com/us/corporate/index.html#menu-about'},
-        { name: "Contact Us", id: "contactUs", linkTarget: "http://www.oracle.com/us/corporate/contact/index.html" },
-        { name: "Legal Notices", id: "legalNotices", linkTarget: "http://www.oracle.com/us/legal/index.html" },
-        { name: "Terms Of Use", id: "termsOfUse", linkTarget: "http://www.oracle.com/us/legal/terms/index.html" },
-        { name: "Your Privacy Rights", id: "yourPrivacyRights", linkTarget: "http://www.oracle.com/us/legal/privacy/index.html" },
-      ];
+      this.user = session.user;
+      this.userLogin = ko.pureComputed(() => {
+        let user = session.user();
+        return user ? user.email : '';
+      });
+
+      // Sign in. When there is no session, or it ends, remember where the user
+      // was and show the sign in page; once signed in, go back there.
+      const basePath = new URL(document.baseURI).pathname;
+      let returnTo = null;
+      const onLoginPage = () => {
+        return !!shownState && shownState.path === 'login';
+      };
+      session.user.subscribe((user) => {
+        if (user === null && !onLoginPage()) {
+          returnTo = location.pathname.slice(basePath.length);
+          router.go({ path: 'login' });
+        } else if (user && onLoginPage()) {
+          let routes = (returnTo || '').split('/').filter((path) => path).map((path) => ({ path: path }));
+          returnTo = null;
+          router.go(...(routes.length ? routes : [{ path: '' }]));
+        }
+        // send whatever was changed offline, or while the session had ended
+        if (user) {
+          offline.sync();
+        }
+      });
+
+      // Theme (see theme.js): the signed in user's choice, the default theme
+      // otherwise. Without a connection the theme already shown is kept. A
+      // user who saved another language than the page is in, as when signing
+      // in on another device, gets the page again in theirs.
+      session.user.subscribe((user) => {
+        if (user) {
+          apiClient.get('api/preferences').then((preferences) => {
+            if (preferences.locale && preferences.locale.tag !== strings.current()) {
+              strings.use(preferences.locale.tag);
+              return undefined;
+            }
+            return theme.apply(preferences.theme && preferences.theme.name);
+          }, () => undefined);
+        } else if (user === null) {
+          theme.apply(theme.DEFAULT);
+        }
+      });
+      document.addEventListener('preferenceschange', (event) => {
+        theme.apply(event.detail.theme && event.detail.theme.name);
+      });
+
+      // User menu actions
+      this.menuItemAction = (event) => {
+        switch (event.detail.selectedValue) {
+          case 'pref':
+            this.openPreferences();
+            break;
+          case 'help':
+            this.openHelp();
+            break;
+          case 'about':
+            router.go({ path: 'about' });
+            break;
+          case 'out':
+            this.signOut();
+            break;
+        }
+      };
+
+      // Preferences dialog. The preferences module is created each time the
+      // dialog opens so it always shows what is saved on the server.
+      this.preferencesConfig = ko.observable({ view: [] });
+      this.openPreferences = () => {
+        this.preferencesConfig(moduleUtils.createConfig({ name: 'preferences' }));
+        document.getElementById('preferencesDialog').open();
+      };
+      this.closePreferences = () => {
+        document.getElementById('preferencesDialog').close();
+      };
+
+      // Help panel, showing views/help/<page>.html for the page on screen
+      this.helpParams = { selector: '#helpPanel', displayMode: 'overlay' };
+      this.helpConfig = ko.observable({ view: [] });
+      this._loadHelp = (state) => {
+        let page = state ? state.path : '';
+        this.helpConfig(moduleUtils.createView({ viewPath: 'views/help/' + page + '.html' })
+          .catch(() => moduleUtils.createView({ viewPath: 'views/help/default.html' }))
+          .then((view) => ({ view: view })));
+      };
+      this.openHelp = () => {
+        this._loadHelp(shownState);
+        return OffcanvasUtils.open(this.helpParams);
+      };
+      this.closeHelp = () => {
+        return OffcanvasUtils.close(this.helpParams);
+      };
+      // keep an open help panel in step with the page
+      router.currentState.subscribe((value) => {
+        if (document.getElementById('helpPanel').classList.contains('oj-offcanvas-open')) {
+          this._loadHelp(value.state);
+        }
+      });
+
+      // Connection and sync status in the header, with a panel listing the
+      // changes still waiting to be sent (see offline.js)
+      const timeConverter = new DateTimeConverter.IntlDateTimeConverter({
+        formatType: 'datetime', dateFormat: 'short', timeFormat: 'short'
+      });
+      this.online = offline.online;
+      this.sending = offline.sending;
+      this.syncStatus = ko.pureComputed(() => {
+        let status = strings.app.sync[offline.sending() ? 'sending' : offline.online() ? 'online' : 'offline'];
+        let pending = offline.queue().length;
+        return pending ? strings.format(strings.app.sync.pending, { status: status, count: pending }) : status;
+      });
+      this.lastSync = ko.pureComputed(() => {
+        return offline.lastSync() ? timeConverter.format(offline.lastSync()) : strings.app.sync.notYet;
+      });
+      this.syncQueue = ko.pureComputed(() => offline.queue().map((change) => {
+        return {
+          record: change.record,
+          queuedAt: timeConverter.format(change.queuedAt),
+          discard: () => offline.discard(change.requestId)
+        };
+      }));
+      this.openSyncPanel = () => {
+        document.getElementById('syncPanel').open('#syncStatusButton');
+      };
+      this.retrySync = () => offline.retry();
+
+      // Conflicting changes dialog, open while conflicts.js has a conflict
+      // for the user to settle
+      this.conflict = conflicts.current;
+      conflicts.current.subscribe((conflict) => {
+        let dialog = document.getElementById('conflictDialog');
+        if (conflict) {
+          dialog.open();
+        } else {
+          dialog.close();
+        }
+      });
+      this.keepMine = () => conflicts.current().keepMine();
+      this.keepTheirs = () => conflicts.current().keepTheirs();
+      this.mergeConflict = () => conflicts.current().merge();
+
+      this.signOut = () => {
+        // send what can still be sent before the session ends, and keep
+        // nothing of this user's on the device by the time the sign in page
+        // shows; the user is signed out even if that fails
+        offline.sync().then(() => offline.clear()).catch(() => undefined).then(() => {
+          // start afresh on the dashboard after the next sign in
+          returnTo = null;
+          return session.signOut();
+        });
+      };
+
+      // Footer, each link named by the configuration or else translated by id
+      this.footerLinks = config.footerLinks.map((link) => {
+        return { id: link.id, name: link.name || strings.app.footer[link.id] || link.linkTarget, linkTarget: link.linkTarget };
+      });
      }
 
      // release the application bootstrap busy state
@@ -0,0 +1,95 @@
+/*
+ * Resolving a change that was based on an outdated copy of a record, i.e. a
+ * 409 VERSION_CONFLICT from the API (see lib/versions.js on the server).
+ *
+ * A change carries only the fields the user changed. ask() puts the fields
+ * that someone else changed too, to another value, in `current`, which the
+ * shell shows in its conflict dialog, and resolves once the user has picked
+ * a side:
+ *   keep mine    - send my changes again, now based on the server's version
+ *   keep theirs  - drop my change and use the server's copy
+ *   merge        - send, field by field, the changes the user kept
+ * Fields the user kept the server's value for are left out of what is sent,
+ * so the server keeps them as they are. Conflicts raised while one is on
+ * screen wait their turn, and one without such fields is settled without
+ * asking.
+ */
+define(['knockout', 'strings'],
+  function (ko, strings) {
+    const current = ko.observable(null);
+    let queue = Promise.resolve();
+
+    function display(value) {
+      return value === undefined || value === null || value === '' ? strings.app.conflict.empty : String(value);
+    }
+
+    /**
+     * @param {Object} conflict
+     * @param {string} conflict.record what was changed, e.g. "incident 12" (strings.app.records)
+     * @param {Object} conflict.mine the changes sent, with the version they were based on
+     * @param {Object} conflict.theirs the server's copy, as returned with the 409
+     * @param {Object=} conflict.base the copy the change was made to, when it is
+     *   known; a field the server still holds as it was there is not in dispute
+     * @return {Promise<Object|null>} the changes to send again, including the
+     *   server's version, or null to keep the server's copy
+     */
+    function ask(conflict) {
+      let answer = queue.then(() => new Promise((resolve) => {
+        let changed = Object.keys(conflict.mine).filter((field) => field !== 'version');
+        let fields = changed.filter((field) => {
+          return display(conflict.mine[field]) !== display(conflict.theirs[field]) &&
+            (!conflict.base || display(conflict.base[field]) !== display(conflict.theirs[field]));
+        }).map((field) => {
+          return {
+            name: field,
+            // a field without a label in words, e.g. dueDate -> Due date
+            label: strings.app.fields[field] ||
+              (field.charAt(0).toUpperCase() + field.slice(1)).replace(/[A-Z]/g, (letter, index) => {
+                return index ? ' ' + letter.toLowerCase() : letter;
+              }),
+            mine: display(conflict.mine[field]),
+            theirs: display(conflict.theirs[field]),
+            choice: ko.observable('mine')
+          };
+        });
+
+        const finish = (values) => {
+          current(null);
+          resolve(values && Object.assign(values, { version: conflict.theirs.version }));
+        };
+        const pick = (choose) => {
+          let values = {};
+          changed.forEach((field) => {
+            values[field] = conflict.mine[field];
+          });
+          fields.forEach((field) => {
+            if (choose(field) === 'theirs') {
+              delete values[field.name];
+            }
+          });
+          finish(values);
+        };
+
+        // nothing to choose when no field was changed on both sides
+        if (!fields.length) {
+          pick(() => 'mine');
+          return;
+        }
+        current({
+          record: conflict.record,
+          fields: fields,
+          keepMine: () => pick(() => 'mine'),
+          keepTheirs: () => finish(null),
+          merge: () => pick((field) => field.choice())
+        });
+      }));
+      queue = answer;
+      return answer;
+    }
+
+    return {
+      current: current,
+      ask: ask
+    };
+  }
+);
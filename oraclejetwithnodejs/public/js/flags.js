@@ -0,0 +1,82 @@
+/*
+ * Feature flags for the signed in user, as /api/flags decides them
+ * (lib/flags.js on the server): which parts of the application are switched
+ * on for them.
+ *
+ * `values` holds the flags by name, undefined until they are loaded and again
+ * once the user signs out, so everything behind a flag stays hidden until the
+ * server has said otherwise. current() loads them for the signed in user the
+ * first time it is asked; load() asks the server again, after an admin has
+ * changed a flag.
+ *
+ * The `flag` binding shows what it wraps only while a flag is on, like `if`:
+ *
+ *   <!-- ko flag: 'dashboardCustomization' --> ... <!-- /ko -->
+ */
+define(['knockout', 'apiClient', 'session'],
+  function (ko, apiClient, session) {
+    const values = ko.observable();
+    let loading = null;
+    let loadedFor = null;
+
+    session.user.subscribe((user) => {
+      if (!user || user.id !== loadedFor) {
+        values(undefined);
+        loading = null;
+        loadedFor = null;
+      }
+    });
+
+    function load() {
+      let user = session.user();
+      loading = apiClient.get('api/flags').then((flags) => {
+        // not for a user who has signed out in the meantime
+        if (session.user() === user) {
+          loadedFor = user && user.id;
+          values(flags);
+        }
+        return flags;
+      }, () => {
+        // asked again next time; until then what was known stays, or no flag
+        // is on
+        loading = null;
+        if (!values()) {
+          values({});
+        }
+        return values();
+      });
+      return loading;
+    }
+
+    /**
+     * Resolve with the flags once they are known for the signed in user.
+     */
+    function current() {
+      return loading || load();
+    }
+
+    /**
+     * Whether the flag `name` is on. Without a name there is nothing to
+     * switch off, so this is true.
+     */
+    function isOn(name) {
+      return !name || (values() || {})[name] === true;
+    }
+
+    ko.bindingHandlers.flag = {
+      init: (element, valueAccessor, allBindings, viewModel, bindingContext) => {
+        let on = ko.pureComputed(() => isOn(ko.unwrap(valueAccessor())));
+        ko.utils.domNodeDisposal.addDisposeCallback(element, () => on.dispose());
+        return ko.bindingHandlers['if'].init(element, () => on, allBindings, viewModel, bindingContext);
+      }
+    };
+    ko.virtualElements.allowedBindings.flag = true;
+
+    return {
+      values: values,
+      load: load,
+      current: current,
+      isOn: isOn
+    };
+  }
+);
@@ -42,6 +42,7 @@
   "ojL10n":"libs/oj/v10.0.0/ojL10n",
   "ojtranslations":"libs/oj/v10.0.0/resources",
   "persist":"libs/persist/debug",
+  "pouchdb":"libs/persist/debug/pouchdb-browser-7.0.0",
   "text":"libs/require/text",
   "signals":"libs/js-signals/signals",
   "touchr":"libs/touchr/touchr",
@@ -58,6 +59,9 @@
 // endinjector
     }
   );
+
+  // The ojL10n locale, and the page's lang and dir, are already set in
+  // index.html as the server sent it (routes/index.js).
 }());
 
 /**
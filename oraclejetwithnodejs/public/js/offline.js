@@ -0,0 +1,477 @@
+/*
+ * Offline support for the incidents and customers endpoints, built on the
+ * offline persistence toolkit in libs/persist.
+ *
+ * init() puts the toolkit in front of fetch(). GET responses from
+ * /api/incidents, /api/customers, /api/me and /api/flags are kept in a
+ * PouchDB store and served from there when the server cannot be reached, with
+ * the list filters applied locally. PUT and PATCH made without a connection
+ * are applied to the stored record and queued; sync() replays the queue once
+ * the server answers again, which happens by itself when the connection comes
+ * back. POST and DELETE need the server and are refused with a 503 while
+ * there is no connection, so every queued change can be listed and
+ * discarded.
+ *
+ * Changes carry the version of the record they were based on. A queued change
+ * the server reports as a version conflict is put to the user (conflicts.js)
+ * and sent again or dropped as they decide. Any other change the server
+ * refuses (a 4xx other than 401) is dropped and reported in `messages`.
+ * Anything else stays queued for the next sync.
+ *
+ * `queue` lists the changes still waiting to be sent. It is read from the
+ * toolkit's sync log whenever that can have changed: after a request handled
+ * offline, after a sync and when a change is discarded.
+ */
+define(['knockout', 'accUtils', 'conflicts', 'strings', 'persist/persistenceManager', 'persist/persistenceStoreManager',
+  'persist/pouchDBPersistenceStoreFactory', 'persist/defaultResponseProxy', 'persist/fetchStrategies',
+  'persist/oracleRestJsonShredding', 'persist/queryHandlers'],
+  function (ko, accUtils, conflicts, strings, persistenceManager, persistenceStoreManager, pouchDBPersistenceStoreFactory,
+    defaultResponseProxy, fetchStrategies, oracleRestJsonShredding, queryHandlers) {
+    // How often to check whether the server is back after a request failed
+    const RETRY_INTERVAL = 30 * 1000;
+
+    // Must stay in step with the filters in routes/customers.js and routes/incidents.js
+    const CUSTOMER_SEARCH_FIELDS = ['name', 'email', 'phone', 'company', 'city', 'country'];
+
+    /**
+     * Every registered endpoint: the store its records are kept in, what a
+     * record is called (its key in strings.app.records), the toolkit find
+     * expression for a list request's query
+     * parameters, and how an offline change is applied to a stored record.
+     */
+    const ENDPOINTS = [
+      {
+        store: 'incidents',
+        scope: '/api/incidents(/\\d+)?(\\?|$)',
+        label: 'incident',
+        find: (params) => {
+          let conditions = [];
+          ['status', 'priority'].forEach((field) => {
+            if (params.get(field)) {
+              conditions.push({ ['value.' + field]: params.get(field) });
+            }
+          });
+          if (params.get('customerId')) {
+            conditions.push({ 'value.customerId': Number(params.get('customerId')) });
+          }
+          return { selector: conditions.length ? { $and: conditions } : undefined, sort: [{ 'value.id': 'asc' }] };
+        },
+        // the server decides where a status may go next, so an incident
+        // moved on offline cannot be moved again until it has been sent
+        merge: (incident, changes) => {
+          let merged = Object.assign({}, incident, changes);
+          if (changes.status !== undefined && changes.status !== incident.status) {
+            merged.allowedTransitions = [];
+          }
+          return merged;
+        }
+      },
+      {
+        store: 'customers',
+        scope: '/api/customers(/\\d+)?(\\?|$)',
+        label: 'customer',
+        find: (params) => {
+          let text = (params.get('q') || '').trim();
+          let pattern = new RegExp(text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+          let sort = (params.get('orderBy') || 'id:asc').split(',').map((criterion) => {
+            let parts = criterion.split(':');
+            return { ['value.' + parts[0]]: parts[1] === 'desc' ? 'desc' : 'asc' };
+          });
+          // fields a customer does not have are skipped before matching
+          return {
+            selector: text ? {
+              $or: CUSTOMER_SEARCH_FIELDS.map((field) => ({
+                $and: [{ ['value.' + field]: { $exists: true } }, { ['value.' + field]: { $regex: pattern } }]
+              }))
+            } : undefined,
+            sort: sort
+          };
+        },
+        merge: (customer, changes) => Object.assign({}, customer, changes)
+      }
+    ];
+
+    const online = ko.observable(navigator.onLine);
+    const messages = ko.observableArray([]);
+    const queue = ko.observableArray([]);
+    // when the queue was last sent in full, null until it has been this session
+    const lastSync = ko.observable(null);
+    const sending = ko.observable(false);
+    let retryTimer = null;
+    let syncing = null;
+    // conflicting changes the user has settled, by sync log request id
+    const resolutions = new Map();
+    // url -> { from, to }: a change replayed in this sync moved the record
+    // from one version to the next
+    let replayed = {};
+
+    function jsonResponse(status, body, cached) {
+      let headers = { 'Content-Type': 'application/json' };
+      if (cached) {
+        // marks the response as made up locally, which is what makes the
+        // toolkit queue the request for replay
+        headers['x-oracle-jscpt-cache-expiration-date'] = '';
+      }
+      return new Response(JSON.stringify(body), { status: status, headers: headers });
+    }
+
+    /**
+     * The server could not be reached: work from the stores until it can.
+     */
+    function goOffline() {
+      persistenceManager.forceOffline(true);
+      online(false);
+      if (!retryTimer) {
+        retryTimer = setInterval(checkServer, RETRY_INTERVAL);
+      }
+    }
+
+    /**
+     * Ask the server for anything at all; any answer means it is back, and
+     * whatever was queued meanwhile is sent.
+     */
+    function checkServer() {
+      if (!navigator.onLine) {
+        return Promise.resolve(false);
+      }
+      return persistenceManager.browserFetch(new Request('api/me', { method: 'HEAD', credentials: 'same-origin' })).then(() => {
+        clearInterval(retryTimer);
+        retryTimer = null;
+        persistenceManager.forceOffline(false);
+        online(true);
+        sync();
+        return true;
+      }, () => false);
+    }
+
+    /**
+     * Apply a PUT or PATCH to the stored copy of the record and answer with
+     * the result, as the server would have.
+     */
+    function saveLocally(endpoint, request) {
+      let id = new URL(request.url).pathname.split('/').pop();
+      return Promise.all([
+        persistenceStoreManager.openStore(endpoint.store).then((store) => store.findByKey(id)),
+        request.clone().json()
+      ]).then((values) => {
+        let stored = values[0] || { id: Number(id) };
+        return jsonResponse(200, endpoint.merge(stored, values[1]), true);
+      });
+    }
+
+    function writeHandler(endpoint) {
+      return (request) => {
+        if (!persistenceManager.isOnline()) {
+          return saveLocally(endpoint, request);
+        }
+        return persistenceManager.browserFetch(request.clone()).catch(() => {
+          goOffline();
+          return saveLocally(endpoint, request);
+        });
+      };
+    }
+
+    /**
+     * POST and DELETE: sent as they are while the server can be reached, and
+     * otherwise answered with a 503 that the toolkit does not queue.
+     */
+    function onlineOnlyHandler(request) {
+      const refuse = () => jsonResponse(503, { code: 'OFFLINE', message: strings.app.sync.onlineOnly });
+      if (!persistenceManager.isOnline()) {
+        return Promise.resolve(refuse());
+      }
+      return persistenceManager.browserFetch(request.clone()).catch(() => {
+        goOffline();
+        return refuse();
+      });
+    }
+
+    /**
+     * The toolkit only hands its query handler the `q` parameter, so build
+     * the find expression from the whole URL for each request.
+     */
+    function queryHandler(endpoint) {
+      return (request, options) => {
+        let params = new URL(request.url).searchParams;
+        return queryHandlers.getOracleRestQueryHandler(endpoint.store, () => endpoint.find(params))(request, options);
+      };
+    }
+
+    function register(scope, options) {
+      let proxy = defaultResponseProxy.getResponseProxy(Object.assign({
+        fetchStrategy: fetchStrategies.getCacheIfOfflineStrategy()
+      }, options));
+      return persistenceManager.register({ scope: scope }).then((registration) => {
+        registration.addEventListener('fetch', (event) => {
+          event.respondWith(proxy.processRequest(event.request).then((response) => {
+            // the toolkit has queued the request by now if it was handled offline
+            if (!persistenceManager.isOnline()) {
+              refreshQueue();
+            }
+            return response;
+          }));
+        });
+      });
+    }
+
+    /**
+     * Read the changes waiting to be sent from the sync log. Reads made
+     * offline are queued as well, but only to refresh the stores on the next
+     * sync, so they are left out.
+     */
+    function refreshQueue() {
+      return persistenceManager.getSyncManager().getSyncLog().then((log) => {
+        queue(log.filter((entry) => isChange(entry.request)).map((entry) => {
+          return {
+            requestId: entry.requestId,
+            url: entry.request.url,
+            record: recordName(entry.request.url),
+            // request ids are the time the request was queued
+            queuedAt: new Date(Number(entry.requestId)).toISOString()
+          };
+        }));
+        return queue();
+      });
+    }
+
+    function isChange(request) {
+      return request.method === 'PUT' || request.method === 'PATCH';
+    }
+
+    // e.g. http://host/api/incidents/12 -> "incident 12"
+    function recordName(url) {
+      let endpoint = ENDPOINTS.find((candidate) => url.match(candidate.scope));
+      return strings.format(strings.app.records[endpoint.label], { id: new URL(url).pathname.split('/').pop() });
+    }
+
+    function withBody(request, body) {
+      return new Request(request.url, {
+        method: request.method,
+        headers: request.headers,
+        body: JSON.stringify(body),
+        credentials: 'same-origin'
+      });
+    }
+
+    /**
+     * Sync manager event: just before a queued request is replayed, send the
+     * values the user settled on instead, or, when an earlier change to the
+     * same record has just been replayed, base this one on the version that
+     * produced rather than reporting a conflict with the user's own change.
+     */
+    function beforeSyncRequest(event) {
+      let values = resolutions.get(event.requestId);
+      let chained = replayed[event.request.url];
+      if (!isChange(event.request) || (!values && !chained)) {
+        return Promise.resolve(null);
+      }
+      return event.request.clone().json().then((body) => {
+        if (values) {
+          resolutions.delete(event.requestId);
+          body = values;
+        } else if (body.version === chained.from) {
+          body.version = chained.to;
+        } else {
+          return null;
+        }
+        return { action: 'replay', request: withBody(event.request, body) };
+      });
+    }
+
+    /**
+     * Sync manager event: a queued change reached the server.
+     */
+    function syncRequest(event) {
+      if (!isChange(event.request) || !event.response.ok) {
+        return Promise.resolve(null);
+      }
+      return Promise.all([event.request.clone().json(), event.response.clone().json()]).then((values) => {
+        let sent = values[0];
+        let prior = replayed[event.request.url];
+        if (sent.version !== undefined) {
+          replayed[event.request.url] = {
+            from: prior && sent.version === prior.to ? prior.from : sent.version,
+            to: values[1].version
+          };
+        }
+        return null;
+      });
+    }
+
+    function init() {
+      persistenceStoreManager.registerDefaultStoreFactory(pouchDBPersistenceStoreFactory);
+      window.addEventListener('offline', () => online(false));
+      window.addEventListener('online', checkServer);
+
+      return persistenceManager.init().then(() => {
+        let syncManager = persistenceManager.getSyncManager();
+        syncManager.addEventListener('beforeSyncRequest', beforeSyncRequest);
+        syncManager.addEventListener('syncRequest', syncRequest);
+        refreshQueue();
+        return Promise.all(ENDPOINTS.map((endpoint) => {
+          return register(endpoint.scope, {
+            jsonProcessor: {
+              shredder: oracleRestJsonShredding.getShredder(endpoint.store, 'id'),
+              unshredder: oracleRestJsonShredding.getUnshredder()
+            },
+            queryHandler: queryHandler(endpoint),
+            requestHandlerOverride: {
+              handlePut: writeHandler(endpoint),
+              handlePatch: writeHandler(endpoint),
+              handlePost: onlineOnlyHandler,
+              handleDelete: onlineOnlyHandler
+            }
+          });
+        }).concat(register('/api/me$', {}), register('/api/flags$', {})));
+      });
+    }
+
+    /**
+     * Tell the user about a queued change the server turned down.
+     */
+    function reportRefused(failure) {
+      return failure.response.json().catch(() => ({})).then((body) => {
+        messages.push({
+          severity: 'error',
+          summary: strings.format(strings.app.sync.refused, { record: recordName(failure.request.url) }),
+          detail: body.message || failure.error
+        });
+        accUtils.announce(strings.app.sync.refusedAnnouncement, 'assertive');
+      });
+    }
+
+    /**
+     * Ask the user how to settle a queued change that conflicts with the
+     * server's copy. Keeping the server's copy drops the change; otherwise
+     * the changes the user kept are sent when the request is replayed.
+     */
+    function resolveConflict(failure) {
+      return Promise.all([failure.request.clone().json(), failure.response.clone().json()]).then((values) => {
+        return conflicts.ask({
+          record: recordName(failure.request.url),
+          mine: values[0],
+          theirs: values[1].current
+        });
+      }).then((values) => {
+        if (!values) {
+          return persistenceManager.getSyncManager().removeRequest(failure.requestId);
+        }
+        resolutions.set(failure.requestId, values);
+        return undefined;
+      });
+    }
+
+    function replay() {
+      let syncManager = persistenceManager.getSyncManager();
+      return syncManager.sync().catch((failure) => {
+        let status = failure.response ? failure.response.status : 0;
+        if (status === 409 && isChange(failure.request)) {
+          return failure.response.clone().json().catch(() => ({})).then((body) => {
+            if (body.code === 'VERSION_CONFLICT') {
+              return resolveConflict(failure);
+            }
+            return reportRefused(failure).then(() => syncManager.removeRequest(failure.requestId));
+          }).then(replay);
+        }
+        if (status >= 400 && status < 500 && status !== 401) {
+          return reportRefused(failure).then(() => syncManager.removeRequest(failure.requestId)).then(replay);
+        }
+        if (!failure.response) {
+          goOffline();
+        }
+        // a 401 waits for the user to sign in again, see appController
+        throw failure;
+      });
+    }
+
+    /**
+     * Send the queued changes. Resolves with true once the queue is empty and
+     * false when some changes had to stay queued.
+     */
+    function sync() {
+      if (!syncing) {
+        syncing = persistenceManager.getSyncManager().getSyncLog().then((log) => {
+          if (!log.length || !persistenceManager.isOnline()) {
+            return !log.length;
+          }
+          // reads made offline are queued too, and replayed to refresh the store
+          let changes = log.filter((entry) => entry.request.method !== 'GET').length;
+          let refused = messages().length;
+          replayed = {};
+          sending(true);
+          return replay().then(() => {
+            lastSync(new Date().toISOString());
+            if (changes && messages().length === refused) {
+              accUtils.announce(strings.app.sync.saved);
+            }
+            return true;
+          });
+        }).catch(() => false).then((done) => {
+          syncing = null;
+          sending(false);
+          return refreshQueue().then(() => done);
+        });
+      }
+      return syncing;
+    }
+
+    /**
+     * Try sending the queue now rather than waiting for the next check that
+     * the server is back. Resolves as sync() does.
+     */
+    function retry() {
+      return checkServer().then((reached) => reached && sync());
+    }
+
+    /**
+     * Drop a queued change without sending it. The stored copy of the record
+     * goes back to how it was before the change, unless a later change to it
+     * is still queued.
+     */
+    function discard(requestId) {
+      let syncManager = persistenceManager.getSyncManager();
+      return syncManager.getSyncLog().then((log) => {
+        let index = log.findIndex((entry) => entry.requestId === requestId);
+        if (index === -1) {
+          return undefined;
+        }
+        let entry = log[index];
+        let later = log.slice(index + 1).some((other) => isChange(other.request) && other.request.url === entry.request.url);
+        return (later ? Promise.resolve() : entry.undo()).then(() => syncManager.removeRequest(requestId)).then(() => {
+          accUtils.announce(strings.format(strings.app.sync.discarded, { record: recordName(entry.request.url) }));
+        });
+      }).then(refreshQueue);
+    }
+
+    /**
+     * Forget everything kept for offline use, including changes not yet
+     * sent and the stored records, e.g. when the user signs out. Resolves
+     * once it is all gone from the device.
+     */
+    function clear() {
+      let syncManager = persistenceManager.getSyncManager();
+      return syncManager.getSyncLog().then((log) => {
+        return Promise.all(log.map((entry) => syncManager.removeRequest(entry.requestId)));
+      }).then(() => Promise.all([persistenceManager.getCache().clear()].concat(ENDPOINTS.map((endpoint) => {
+        return persistenceStoreManager.deleteStore(endpoint.store);
+      })))).then(() => {
+        messages([]);
+        lastSync(null);
+        return refreshQueue();
+      });
+    }
+
+    return {
+      online: online,
+      messages: messages,
+      queue: queue,
+      lastSync: lastSync,
+      sending: sending,
+      init: init,
+      sync: sync,
+      retry: retry,
+      discard: discard,
+      clear: clear
+    };
+  }
+);
@@ -0,0 +1,96 @@
+/*
+ * The document title and description of the page on screen, taken from the
+ * details of its route, and announcing each page once it is shown.
+ *
+ * The shell hands its router to follow(), and so does every page that has
+ * child routes of its own. Besides label, a route's detail may have
+ *
+ *   title        the page title, or a function of the router state returning
+ *                it, for routes with parameters such as incidents/<id>
+ *   description  what the page is for, for the description meta element
+ *
+ * A child route without them shows those of the route it is nested in. The
+ * title reads "<page> – <app name>" (see titleTemplate in the app strings),
+ * with the name the shell gives nameApp().
+ */
+define(['accUtils', 'strings'],
+  function (accUtils, strings) {
+    // the followed routers whose state is on screen, each nested in the one before
+    let shown = [];
+    let appName = strings.app.appName;
+    let announced = null;
+
+    /**
+     * The `name` of the innermost route on screen that has one.
+     */
+    function routeDetail(name) {
+      for (let i = shown.length - 1; i >= 0; i--) {
+        let state = shown[i].state;
+        let value = state && state.detail && state.detail[name];
+        if (value) {
+          return typeof value === 'function' ? value(state) : value;
+        }
+      }
+      return undefined;
+    }
+
+    function update() {
+      let page = routeDetail('title');
+      document.title = page ?
+        strings.format(strings.app.titleTemplate, { page: page, appName: appName }) :
+        appName;
+      let description = document.querySelector('meta[name="description"]');
+      if (description) {
+        description.setAttribute('content', routeDetail('description') || strings.app.descriptions.app);
+      }
+    }
+
+    /**
+     * Name the application in the title, when the server's configuration
+     * names it. Called by the shell before it follows its router.
+     */
+    function nameApp(name) {
+      appName = name;
+    }
+
+    /**
+     * Keep the title and description in step with the state of `router`.
+     * Routers nested in it that were followed before are let go of when it
+     * moves on, as their pages are no longer shown.
+     * @param {CoreRouter} router
+     */
+    function follow(router) {
+      let followed = { state: undefined };
+      shown.push(followed);
+      followed.subscription = router.currentState.subscribe((value) => {
+        if (!value.state || shown.indexOf(followed) === -1) {
+          return;
+        }
+        shown.splice(shown.indexOf(followed) + 1).forEach((nested) => {
+          nested.subscription.unsubscribe();
+        });
+        followed.state = value.state;
+        update();
+      });
+    }
+
+    // A page is announced once an oj-module in the main region has shown it,
+    // and only if it has another title than the page announced before, which
+    // leaves out modules inside a page. ojTransitionEnd does not bubble, so it
+    // is caught on its way down.
+    document.addEventListener('ojTransitionEnd', (event) => {
+      let main = document.querySelector('[role="main"]');
+      let page = routeDetail('title');
+      if (!main || !main.contains(event.target) || !page || page === announced) {
+        return;
+      }
+      announced = page;
+      accUtils.announce(strings.format(strings.app.pageLoaded, { page: page }));
+    }, true);
+
+    return {
+      follow: follow,
+      nameApp: nameApp
+    };
+  }
+);
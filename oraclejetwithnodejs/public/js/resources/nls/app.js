@@ -0,0 +1,249 @@
+/*
+ * Strings shown by the application, loaded through the ojL10n plugin in the
+ * locale picked in Preferences (see strings.js). Translations go in
+ * resources/nls/<locale>/app.js and are listed at the end; a string missing
+ * from a translation is shown in English.
+ *
+ * Placeholders such as {name} are filled in by strings.format().
+ */
+define({
+  root: {
+    appName: 'App Name',
+    pages: {
+      dashboard: 'Dashboard',
+      incidents: 'Incidents',
+      customers: 'Customers',
+      users: 'Users',
+      flags: 'Feature Flags',
+      about: 'About',
+      login: 'Sign In',
+      forbidden: 'Not Permitted'
+    },
+    pageLoaded: '{page} page loaded.',
+    titleTemplate: '{page} – {appName}',
+    descriptions: {
+      app: 'Track incidents and the customers they affect.',
+      dashboard: 'Incident and customer figures at a glance.',
+      incidents: 'Incidents reported by customers, and their progress.',
+      customers: 'Customers and their contact details.',
+      users: 'Users of the application and their roles.',
+      flags: 'Parts of the application that are switched on for some users and off for others.',
+      about: 'About this application.'
+    },
+    footer: {
+      aboutOracle: 'About Oracle',
+      contactUs: 'Contact Us',
+      legalNotices: 'Legal Notices',
+      termsOfUse: 'Terms Of Use',
+      yourPrivacyRights: 'Your Privacy Rights',
+      copyright: 'Copyright © 2014, 2021 Oracle and/or its affiliates All rights reserved.'
+    },
+    shell: {
+      logo: 'Oracle Logo',
+      userMenu: {
+        preferences: 'Preferences',
+        help: 'Help',
+        about: 'About',
+        signOut: 'Sign Out'
+      },
+      help: 'Help',
+      closeHelp: 'Close help',
+      preferences: 'Preferences',
+      close: 'Close',
+      skipToContent: 'Skip to content'
+    },
+    sync: {
+      online: 'Online',
+      offline: 'Offline',
+      sending: 'Sending changes',
+      pending: '{status}, {count} pending',
+      lastSent: 'Changes last sent: {time}',
+      notYet: 'not yet',
+      empty: 'No changes are waiting to be sent.',
+      change: 'Change to {record}',
+      made: 'Made {time}',
+      discard: 'Discard the change to {record}',
+      retry: 'Retry now',
+      refused: 'A change to {record} made offline was not saved',
+      refusedAnnouncement: 'A change made offline was not saved.',
+      saved: 'Changes made offline have been saved.',
+      discarded: 'The change to {record} was discarded.',
+      onlineOnly: 'Adding and deleting records needs a connection to the server. Try again once you are back online.'
+    },
+    // a record in a sentence, e.g. "The change to incident 12 was discarded."
+    records: {
+      incident: 'incident {id}',
+      customer: 'customer {id}'
+    },
+    conflict: {
+      title: 'Conflicting changes',
+      intro: 'Someone else changed {record} after your change was made. ' +
+        'Keep your values, keep theirs, or pick a value for each field and merge.',
+      empty: '(empty)',
+      yours: 'Yours: {value}',
+      theirs: 'Theirs: {value}',
+      keepTheirs: 'Keep theirs',
+      keepMine: 'Keep mine',
+      merge: 'Merge'
+    },
+    // status and priority values sent by the API
+    values: {
+      'open': 'Open',
+      'in-progress': 'In progress',
+      'resolved': 'Resolved',
+      'closed': 'Closed',
+      'low': 'Low',
+      'medium': 'Medium',
+      'high': 'High',
+      'critical': 'Critical'
+    },
+    roles: {
+      viewer: 'Viewer',
+      agent: 'Agent',
+      admin: 'Admin'
+    },
+    fields: {
+      title: 'Title',
+      description: 'Description',
+      priority: 'Priority',
+      status: 'Status',
+      customerId: 'Customer',
+      created: 'Created',
+      name: 'Name',
+      email: 'Email',
+      phone: 'Phone',
+      company: 'Company',
+      city: 'City',
+      country: 'Country',
+      role: 'Role',
+      password: 'Password'
+    },
+    form: {
+      reset: 'Reset',
+      save: 'Save',
+      any: 'Any',
+      offline: 'You are offline. Changes are kept on this device and sent when the connection is back.',
+      recordInfo: '{record}, created {created}, last updated {updated}'
+    },
+    login: {
+      heading: 'Sign in',
+      signIn: 'Sign in',
+      failed: 'You could not be signed in.',
+      failedAnnouncement: 'Sign in failed.'
+    },
+    forbidden: {
+      heading: 'Not permitted',
+      text: 'Your role ({role}) does not give you access to {page}. Ask an administrator if you need it.',
+      thisPage: 'this page',
+      goHome: 'Go to the dashboard',
+      announcement: 'You do not have permission to open {page}.'
+    },
+    about: {
+      heading: 'About Content Area',
+      text: 'To change the content of this section, you will make edits to the about.html file located in the /js/views folder.'
+    },
+    users: {
+      roleOf: 'Role of {name}',
+      roleChanged: '{name} is now {role}.',
+      roleNotChanged: 'The role could not be changed.',
+      notLoaded: 'The users could not be loaded.'
+    },
+    flags: {
+      enabled: 'Switched on',
+      rollout: 'Rollout (%)',
+      enabledOf: '{flag} switched on',
+      rolloutOf: 'Rollout of {flag}, in percent of users',
+      limitedTo: 'Limited to',
+      noLimits: 'Everyone',
+      switchedOn: '{flag} is switched on.',
+      switchedOff: '{flag} is switched off.',
+      rolledOut: '{flag} is rolled out to {rollout}% of users.',
+      notChanged: 'The feature flag could not be changed.',
+      notLoaded: 'The feature flags could not be loaded.'
+    },
+    incidents: {
+      offline: 'You are offline. These are the incidents saved on this device.',
+      back: 'Back to incidents',
+      notFound: 'Incident not found',
+      notFoundText: 'There is no incident with this id. It may have been deleted, or not been saved on this device for offline use.',
+      record: 'Incident {id}',
+      loaded: 'Incident {title} loaded.',
+      notSaved: 'The incident could not be saved.',
+      keptTheirs: 'The incident was left as someone else saved it',
+      saved: 'Incident saved',
+      savedOnDevice: 'Incident saved on this device',
+      sentLater: 'It will be sent when the connection is back.',
+      savedOnDeviceAnnouncement: 'Incident saved on this device. It will be sent when the connection is back.'
+    },
+    customers: {
+      search: 'Search',
+      searchPlaceholder: 'Name, email, company, city or country',
+      pageSize: 'Rows per page',
+      back: 'Back to customers',
+      notFound: 'Customer not found',
+      notFoundText: 'There is no customer with this id. It may have been deleted.',
+      record: 'Customer {id}',
+      loaded: 'Customer {name} loaded.',
+      notSaved: 'The customer could not be saved.',
+      keptTheirs: 'The customer was left as someone else saved it',
+      saved: 'Customer saved',
+      emailHint: 'Enter an email address such as name@example.com',
+      emailInvalid: 'Enter a valid email address.',
+      phoneHint: 'Digits, spaces, brackets and dashes, with an optional leading +',
+      phoneInvalid: 'Enter a valid phone number.'
+    },
+    dashboard: {
+      layout: 'Dashboard layout',
+      addWidget: 'Add widget',
+      resetLayout: 'Reset to default',
+      customize: 'Customize',
+      done: 'Done',
+      dragToMove: 'Drag to move',
+      moveEarlier: 'Move {widget} earlier',
+      moveLater: 'Move {widget} later',
+      resize: 'Resize {widget}',
+      remove: 'Remove {widget}',
+      resized: '{widget} resized.',
+      removed: '{widget} removed from the dashboard.',
+      moved: '{widget} moved to position {position}.',
+      added: '{widget} added to the dashboard.',
+      reset: 'Dashboard reset to the default layout.',
+      notSaved: 'Your dashboard layout could not be saved.',
+      notReset: 'Your dashboard layout could not be reset.',
+      widgetsNotLoaded: 'The dashboard widgets could not be loaded.',
+      notLoaded: 'The dashboard could not be loaded.'
+    },
+    widgets: {
+      openIncidents: 'Open incidents',
+      meanTimeToResolve: 'Mean time to resolve',
+      incidentsByStatus: 'Incidents by status',
+      incidentsByPriority: 'Incidents by priority',
+      resolutionRate: 'Resolution rate',
+      incidentsPerWeek: 'Incidents per week',
+      totalIncidents: 'Total incidents',
+      customersThisMonth: 'Customers added this month',
+      totalCustomers: 'Total customers',
+      incidents: 'Incidents',
+      opened: 'Opened',
+      resolved: 'Resolved',
+      hours: '{value} h',
+      days: '{value} d'
+    },
+    preferences: {
+      language: 'Language',
+      languageHint: 'The application reloads in the language you pick.',
+      theme: 'Theme',
+      themeChanged: 'Theme changed to {theme}.',
+      dashboard: 'Dashboard',
+      customDashboard: 'You are using your own dashboard layout.',
+      defaultDashboard: 'You are using the default dashboard layout.',
+      resetDashboard: 'Reset dashboard layout',
+      notSaved: 'Your preferences could not be saved.',
+      notLoaded: 'Your preferences could not be loaded.'
+    }
+  },
+  'ar': true,
+  'de': true,
+  'fr': true,
+  'he': true
+});
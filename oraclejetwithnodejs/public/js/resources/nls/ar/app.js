@@ -0,0 +1,233 @@
+define({
+  appName: 'اسم التطبيق',
+  pages: {
+    dashboard: 'لوحة المعلومات',
+    incidents: 'الحوادث',
+    customers: 'العملاء',
+    users: 'المستخدمون',
+    flags: 'مفاتيح الميزات',
+    about: 'حول',
+    login: 'تسجيل الدخول',
+    forbidden: 'غير مسموح'
+  },
+  pageLoaded: 'تم تحميل صفحة {page}.',
+  titleTemplate: '{page} – {appName}',
+  descriptions: {
+    app: 'تتبّع الحوادث والعملاء المتأثرين بها.',
+    dashboard: 'أرقام الحوادث والعملاء في لمحة.',
+    incidents: 'الحوادث التي أبلغ عنها العملاء ومدى تقدمها.',
+    customers: 'العملاء وبيانات الاتصال الخاصة بهم.',
+    users: 'مستخدمو التطبيق وأدوارهم.',
+    flags: 'أجزاء التطبيق المفعّلة لبعض المستخدمين دون غيرهم.',
+    about: 'حول هذا التطبيق.'
+  },
+  footer: {
+    aboutOracle: 'حول Oracle',
+    contactUs: 'اتصل بنا',
+    legalNotices: 'الإشعارات القانونية',
+    termsOfUse: 'شروط الاستخدام',
+    yourPrivacyRights: 'حقوق الخصوصية الخاصة بك',
+    copyright: 'حقوق النشر © 2014، 2021 Oracle و/أو الشركات التابعة لها. جميع الحقوق محفوظة.'
+  },
+  shell: {
+    logo: 'شعار Oracle',
+    userMenu: {
+      preferences: 'التفضيلات',
+      help: 'المساعدة',
+      about: 'حول',
+      signOut: 'تسجيل الخروج'
+    },
+    help: 'المساعدة',
+    closeHelp: 'إغلاق المساعدة',
+    preferences: 'التفضيلات',
+    close: 'إغلاق',
+    skipToContent: 'الانتقال إلى المحتوى'
+  },
+  sync: {
+    online: 'متصل',
+    offline: 'غير متصل',
+    sending: 'جارٍ إرسال التغييرات',
+    pending: '{status}، {count} قيد الانتظار',
+    lastSent: 'آخر إرسال للتغييرات: {time}',
+    notYet: 'ليس بعد',
+    empty: 'لا توجد تغييرات في انتظار الإرسال.',
+    change: 'تغيير على {record}',
+    made: 'أُجري في {time}',
+    discard: 'تجاهل التغيير على {record}',
+    retry: 'إعادة المحاولة الآن',
+    refused: 'لم يُحفظ تغيير على {record} أُجري دون اتصال',
+    refusedAnnouncement: 'لم يُحفظ تغيير أُجري دون اتصال.',
+    saved: 'تم حفظ التغييرات التي أُجريت دون اتصال.',
+    discarded: 'تم تجاهل التغيير على {record}.',
+    onlineOnly: 'إضافة السجلات وحذفها يحتاجان إلى اتصال بالخادم. حاول مرة أخرى عند عودة الاتصال.'
+  },
+  records: {
+    incident: 'الحادثة {id}',
+    customer: 'العميل {id}'
+  },
+  conflict: {
+    title: 'تغييرات متعارضة',
+    intro: 'غيّر شخص آخر {record} بعد إجراء تغييرك. ' +
+      'احتفظ بقيمك أو بقيمه، أو اختر قيمة لكل حقل وادمجها.',
+    empty: '(فارغ)',
+    yours: 'قيمتك: {value}',
+    theirs: 'قيمته: {value}',
+    keepTheirs: 'الاحتفاظ بقيمه',
+    keepMine: 'الاحتفاظ بقيمي',
+    merge: 'دمج'
+  },
+  values: {
+    'open': 'مفتوحة',
+    'in-progress': 'قيد التنفيذ',
+    'resolved': 'محلولة',
+    'closed': 'مغلقة',
+    'low': 'منخفضة',
+    'medium': 'متوسطة',
+    'high': 'عالية',
+    'critical': 'حرجة'
+  },
+  roles: {
+    viewer: 'مُطّلع',
+    agent: 'موظف دعم',
+    admin: 'مسؤول'
+  },
+  fields: {
+    title: 'العنوان',
+    description: 'الوصف',
+    priority: 'الأولوية',
+    status: 'الحالة',
+    customerId: 'العميل',
+    created: 'تاريخ الإنشاء',
+    name: 'الاسم',
+    email: 'البريد الإلكتروني',
+    phone: 'الهاتف',
+    company: 'الشركة',
+    city: 'المدينة',
+    country: 'البلد',
+    role: 'الدور',
+    password: 'كلمة المرور'
+  },
+  form: {
+    reset: 'إعادة تعيين',
+    save: 'حفظ',
+    any: 'الكل',
+    offline: 'أنت غير متصل. تُحفظ التغييرات على هذا الجهاز وتُرسل عند عودة الاتصال.',
+    recordInfo: '{record}، أُنشئ في {created}، آخر تحديث في {updated}'
+  },
+  login: {
+    heading: 'تسجيل الدخول',
+    signIn: 'تسجيل الدخول',
+    failed: 'تعذّر تسجيل دخولك.',
+    failedAnnouncement: 'فشل تسجيل الدخول.'
+  },
+  forbidden: {
+    heading: 'غير مسموح',
+    text: 'دورك ({role}) لا يمنحك الوصول إلى {page}. اطلب ذلك من أحد المسؤولين إذا كنت بحاجة إليه.',
+    thisPage: 'هذه الصفحة',
+    goHome: 'الانتقال إلى لوحة المعلومات',
+    announcement: 'ليس لديك إذن بفتح {page}.'
+  },
+  about: {
+    heading: 'منطقة محتوى حول',
+    text: 'لتغيير محتوى هذا القسم، عدّل الملف about.html الموجود في المجلد /js/views.'
+  },
+  users: {
+    roleOf: 'دور {name}',
+    roleChanged: 'أصبح {name} الآن {role}.',
+    roleNotChanged: 'تعذّر تغيير الدور.',
+    notLoaded: 'تعذّر تحميل المستخدمين.'
+  },
+  flags: {
+    enabled: 'مفعّلة',
+    rollout: 'نسبة الإتاحة (%)',
+    enabledOf: 'تفعيل {flag}',
+    rolloutOf: 'نسبة إتاحة {flag} من المستخدمين',
+    limitedTo: 'مقصورة على',
+    noLimits: 'الجميع',
+    switchedOn: 'تم تفعيل {flag}.',
+    switchedOff: 'تم إيقاف {flag}.',
+    rolledOut: 'أصبح {flag} متاحًا لـ {rollout}% من المستخدمين.',
+    notChanged: 'تعذّر تغيير مفتاح الميزة.',
+    notLoaded: 'تعذّر تحميل مفاتيح الميزات.'
+  },
+  incidents: {
+    offline: 'أنت غير متصل. هذه هي الحوادث المحفوظة على هذا الجهاز.',
+    back: 'العودة إلى الحوادث',
+    notFound: 'لم يُعثر على الحادثة',
+    notFoundText: 'لا توجد حادثة بهذا المعرّف. ربما حُذفت، أو لم تُحفظ على هذا الجهاز للاستخدام دون اتصال.',
+    record: 'الحادثة {id}',
+    loaded: 'تم تحميل الحادثة {title}.',
+    notSaved: 'تعذّر حفظ الحادثة.',
+    keptTheirs: 'تُركت الحادثة كما حفظها شخص آخر',
+    saved: 'تم حفظ الحادثة',
+    savedOnDevice: 'تم حفظ الحادثة على هذا الجهاز',
+    sentLater: 'ستُرسل عند عودة الاتصال.',
+    savedOnDeviceAnnouncement: 'تم حفظ الحادثة على هذا الجهاز. ستُرسل عند عودة الاتصال.'
+  },
+  customers: {
+    search: 'بحث',
+    searchPlaceholder: 'الاسم أو البريد الإلكتروني أو الشركة أو المدينة أو البلد',
+    pageSize: 'عدد الصفوف في الصفحة',
+    back: 'العودة إلى العملاء',
+    notFound: 'لم يُعثر على العميل',
+    notFoundText: 'لا يوجد عميل بهذا المعرّف. ربما حُذف.',
+    record: 'العميل {id}',
+    loaded: 'تم تحميل العميل {name}.',
+    notSaved: 'تعذّر حفظ العميل.',
+    keptTheirs: 'تُرك العميل كما حفظه شخص آخر',
+    saved: 'تم حفظ العميل',
+    emailHint: 'أدخل عنوان بريد إلكتروني مثل name@example.com',
+    emailInvalid: 'أدخل عنوان بريد إلكتروني صالحًا.',
+    phoneHint: 'أرقام ومسافات وأقواس وشرطات، مع علامة + اختيارية في البداية',
+    phoneInvalid: 'أدخل رقم هاتف صالحًا.'
+  },
+  dashboard: {
+    layout: 'تخطيط لوحة المعلومات',
+    addWidget: 'إضافة أداة',
+    resetLayout: 'إعادة التعيين إلى الافتراضي',
+    customize: 'تخصيص',
+    done: 'تم',
+    dragToMove: 'اسحب للنقل',
+    moveEarlier: 'نقل {widget} إلى الأمام',
+    moveLater: 'نقل {widget} إلى الخلف',
+    resize: 'تغيير حجم {widget}',
+    remove: 'إزالة {widget}',
+    resized: 'تم تغيير حجم {widget}.',
+    removed: 'تمت إزالة {widget} من لوحة المعلومات.',
+    moved: 'تم نقل {widget} إلى الموضع {position}.',
+    added: 'تمت إضافة {widget} إلى لوحة المعلومات.',
+    reset: 'تمت إعادة لوحة المعلومات إلى التخطيط الافتراضي.',
+    notSaved: 'تعذّر حفظ تخطيط لوحة المعلومات.',
+    notReset: 'تعذّرت إعادة تعيين تخطيط لوحة المعلومات.',
+    widgetsNotLoaded: 'تعذّر تحميل أدوات لوحة المعلومات.',
+    notLoaded: 'تعذّر تحميل لوحة المعلومات.'
+  },
+  widgets: {
+    openIncidents: 'الحوادث المفتوحة',
+    meanTimeToResolve: 'متوسط وقت الحل',
+    incidentsByStatus: 'الحوادث حسب الحالة',
+    incidentsByPriority: 'الحوادث حسب الأولوية',
+    resolutionRate: 'معدل الحل',
+    incidentsPerWeek: 'الحوادث في الأسبوع',
+    totalIncidents: 'إجمالي الحوادث',
+    customersThisMonth: 'العملاء المضافون هذا الشهر',
+    totalCustomers: 'إجمالي العملاء',
+    incidents: 'الحوادث',
+    opened: 'المفتوحة',
+    resolved: 'المحلولة',
+    hours: '{value} ساعة',
+    days: '{value} يوم'
+  },
+  preferences: {
+    language: 'اللغة',
+    languageHint: 'يُعاد تحميل التطبيق باللغة التي تختارها.',
+    theme: 'السمة',
+    themeChanged: 'تم تغيير السمة إلى {theme}.',
+    dashboard: 'لوحة المعلومات',
+    customDashboard: 'أنت تستخدم تخطيطك الخاص للوحة المعلومات.',
+    defaultDashboard: 'أنت تستخدم التخطيط الافتراضي للوحة المعلومات.',
+    resetDashboard: 'إعادة تعيين تخطيط لوحة المعلومات',
+    notSaved: 'تعذّر حفظ تفضيلاتك.',
+    notLoaded: 'تعذّر تحميل تفضيلاتك.'
+  }
+});
@@ -0,0 +1,233 @@
+define({
+  appName: 'App-Name',
+  pages: {
+    dashboard: 'Dashboard',
+    incidents: 'Vorfälle',
+    customers: 'Kunden',
+    users: 'Benutzer',
+    flags: 'Feature-Flags',
+    about: 'Info',
+    login: 'Anmelden',
+    forbidden: 'Nicht erlaubt'
+  },
+  pageLoaded: 'Seite {page} geladen.',
+  titleTemplate: '{page} – {appName}',
+  descriptions: {
+    app: 'Vorfälle und die betroffenen Kunden verfolgen.',
+    dashboard: 'Kennzahlen zu Vorfällen und Kunden auf einen Blick.',
+    incidents: 'Von Kunden gemeldete Vorfälle und ihr Bearbeitungsstand.',
+    customers: 'Kunden und ihre Kontaktdaten.',
+    users: 'Benutzer der Anwendung und ihre Rollen.',
+    flags: 'Teile der Anwendung, die für manche Benutzer eingeschaltet sind und für andere nicht.',
+    about: 'Informationen zu dieser Anwendung.'
+  },
+  footer: {
+    aboutOracle: 'Über Oracle',
+    contactUs: 'Kontakt',
+    legalNotices: 'Rechtliche Hinweise',
+    termsOfUse: 'Nutzungsbedingungen',
+    yourPrivacyRights: 'Ihre Datenschutzrechte',
+    copyright: 'Copyright © 2014, 2021 Oracle und/oder verbundene Unternehmen. Alle Rechte vorbehalten.'
+  },
+  shell: {
+    logo: 'Oracle-Logo',
+    userMenu: {
+      preferences: 'Einstellungen',
+      help: 'Hilfe',
+      about: 'Info',
+      signOut: 'Abmelden'
+    },
+    help: 'Hilfe',
+    closeHelp: 'Hilfe schließen',
+    preferences: 'Einstellungen',
+    close: 'Schließen',
+    skipToContent: 'Zum Inhalt springen'
+  },
+  sync: {
+    online: 'Online',
+    offline: 'Offline',
+    sending: 'Änderungen werden gesendet',
+    pending: '{status}, {count} ausstehend',
+    lastSent: 'Änderungen zuletzt gesendet: {time}',
+    notYet: 'noch nicht',
+    empty: 'Es warten keine Änderungen darauf, gesendet zu werden.',
+    change: 'Änderung an {record}',
+    made: 'Vorgenommen {time}',
+    discard: 'Änderung an {record} verwerfen',
+    retry: 'Jetzt erneut versuchen',
+    refused: 'Eine offline vorgenommene Änderung an {record} wurde nicht gespeichert',
+    refusedAnnouncement: 'Eine offline vorgenommene Änderung wurde nicht gespeichert.',
+    saved: 'Offline vorgenommene Änderungen wurden gespeichert.',
+    discarded: 'Die Änderung an {record} wurde verworfen.',
+    onlineOnly: 'Zum Anlegen und Löschen von Datensätzen ist eine Verbindung zum Server nötig. Versuchen Sie es erneut, sobald Sie wieder online sind.'
+  },
+  records: {
+    incident: 'Vorfall {id}',
+    customer: 'Kunde {id}'
+  },
+  conflict: {
+    title: 'Widersprüchliche Änderungen',
+    intro: 'Jemand anderes hat {record} geändert, nachdem Ihre Änderung vorgenommen wurde. ' +
+      'Behalten Sie Ihre Werte oder die der anderen Person, oder wählen Sie für jedes Feld einen Wert und führen Sie sie zusammen.',
+    empty: '(leer)',
+    yours: 'Ihrer: {value}',
+    theirs: 'Deren: {value}',
+    keepTheirs: 'Deren behalten',
+    keepMine: 'Meine behalten',
+    merge: 'Zusammenführen'
+  },
+  values: {
+    'open': 'Offen',
+    'in-progress': 'In Bearbeitung',
+    'resolved': 'Gelöst',
+    'closed': 'Geschlossen',
+    'low': 'Niedrig',
+    'medium': 'Mittel',
+    'high': 'Hoch',
+    'critical': 'Kritisch'
+  },
+  roles: {
+    viewer: 'Betrachter',
+    agent: 'Bearbeiter',
+    admin: 'Administrator'
+  },
+  fields: {
+    title: 'Titel',
+    description: 'Beschreibung',
+    priority: 'Priorität',
+    status: 'Status',
+    customerId: 'Kunde',
+    created: 'Erstellt',
+    name: 'Name',
+    email: 'E-Mail',
+    phone: 'Telefon',
+    company: 'Firma',
+    city: 'Ort',
+    country: 'Land',
+    role: 'Rolle',
+    password: 'Kennwort'
+  },
+  form: {
+    reset: 'Zurücksetzen',
+    save: 'Speichern',
+    any: 'Alle',
+    offline: 'Sie sind offline. Änderungen werden auf diesem Gerät gespeichert und gesendet, sobald die Verbindung wieder besteht.',
+    recordInfo: '{record}, erstellt {created}, zuletzt geändert {updated}'
+  },
+  login: {
+    heading: 'Anmelden',
+    signIn: 'Anmelden',
+    failed: 'Sie konnten nicht angemeldet werden.',
+    failedAnnouncement: 'Anmeldung fehlgeschlagen.'
+  },
+  forbidden: {
+    heading: 'Nicht erlaubt',
+    text: 'Ihre Rolle ({role}) gibt Ihnen keinen Zugriff auf {page}. Wenden Sie sich an einen Administrator, wenn Sie ihn benötigen.',
+    thisPage: 'diese Seite',
+    goHome: 'Zum Dashboard',
+    announcement: 'Sie haben keine Berechtigung, {page} zu öffnen.'
+  },
+  about: {
+    heading: 'Inhaltsbereich Info',
+    text: 'Um den Inhalt dieses Bereichs zu ändern, bearbeiten Sie die Datei about.html im Ordner /js/views.'
+  },
+  users: {
+    roleOf: 'Rolle von {name}',
+    roleChanged: '{name} ist jetzt {role}.',
+    roleNotChanged: 'Die Rolle konnte nicht geändert werden.',
+    notLoaded: 'Die Benutzer konnten nicht geladen werden.'
+  },
+  flags: {
+    enabled: 'Eingeschaltet',
+    rollout: 'Rollout (%)',
+    enabledOf: '{flag} eingeschaltet',
+    rolloutOf: 'Rollout von {flag}, in Prozent der Benutzer',
+    limitedTo: 'Beschränkt auf',
+    noLimits: 'Alle',
+    switchedOn: '{flag} ist eingeschaltet.',
+    switchedOff: '{flag} ist ausgeschaltet.',
+    rolledOut: '{flag} ist für {rollout} % der Benutzer eingeschaltet.',
+    notChanged: 'Das Feature-Flag konnte nicht geändert werden.',
+    notLoaded: 'Die Feature-Flags konnten nicht geladen werden.'
+  },
+  incidents: {
+    offline: 'Sie sind offline. Dies sind die auf diesem Gerät gespeicherten Vorfälle.',
+    back: 'Zurück zu den Vorfällen',
+    notFound: 'Vorfall nicht gefunden',
+    notFoundText: 'Es gibt keinen Vorfall mit dieser ID. Er wurde möglicherweise gelöscht oder nicht für die Offline-Nutzung auf diesem Gerät gespeichert.',
+    record: 'Vorfall {id}',
+    loaded: 'Vorfall {title} geladen.',
+    notSaved: 'Der Vorfall konnte nicht gespeichert werden.',
+    keptTheirs: 'Der Vorfall wurde so belassen, wie jemand anderes ihn gespeichert hat',
+    saved: 'Vorfall gespeichert',
+    savedOnDevice: 'Vorfall auf diesem Gerät gespeichert',
+    sentLater: 'Er wird gesendet, sobald die Verbindung wieder besteht.',
+    savedOnDeviceAnnouncement: 'Vorfall auf diesem Gerät gespeichert. Er wird gesendet, sobald die Verbindung wieder besteht.'
+  },
+  customers: {
+    search: 'Suchen',
+    searchPlaceholder: 'Name, E-Mail, Firma, Ort oder Land',
+    pageSize: 'Zeilen pro Seite',
+    back: 'Zurück zu den Kunden',
+    notFound: 'Kunde nicht gefunden',
+    notFoundText: 'Es gibt keinen Kunden mit dieser ID. Er wurde möglicherweise gelöscht.',
+    record: 'Kunde {id}',
+    loaded: 'Kunde {name} geladen.',
+    notSaved: 'Der Kunde konnte nicht gespeichert werden.',
+    keptTheirs: 'Der Kunde wurde so belassen, wie jemand anderes ihn gespeichert hat',
+    saved: 'Kunde gespeichert',
+    emailHint: 'Geben Sie eine E-Mail-Adresse wie name@example.com ein',
+    emailInvalid: 'Geben Sie eine gültige E-Mail-Adresse ein.',
+    phoneHint: 'Ziffern, Leerzeichen, Klammern und Bindestriche, optional mit führendem +',
+    phoneInvalid: 'Geben Sie eine gültige Telefonnummer ein.'
+  },
+  dashboard: {
+    layout: 'Dashboard-Layout',
+    addWidget: 'Widget hinzufügen',
+    resetLayout: 'Auf Standard zurücksetzen',
+    customize: 'Anpassen',
+    done: 'Fertig',
+    dragToMove: 'Zum Verschieben ziehen',
+    moveEarlier: '{widget} nach vorne verschieben',
+    moveLater: '{widget} nach hinten verschieben',
+    resize: 'Größe von {widget} ändern',
+    remove: '{widget} entfernen',
+    resized: 'Größe von {widget} geändert.',
+    removed: '{widget} aus dem Dashboard entfernt.',
+    moved: '{widget} an Position {position} verschoben.',
+    added: '{widget} zum Dashboard hinzugefügt.',
+    reset: 'Dashboard auf das Standardlayout zurückgesetzt.',
+    notSaved: 'Ihr Dashboard-Layout konnte nicht gespeichert werden.',
+    notReset: 'Ihr Dashboard-Layout konnte nicht zurückgesetzt werden.',
+    widgetsNotLoaded: 'Die Dashboard-Widgets konnten nicht geladen werden.',
+    notLoaded: 'Das Dashboard konnte nicht geladen werden.'
+  },
+  widgets: {
+    openIncidents: 'Offene Vorfälle',
+    meanTimeToResolve: 'Mittlere Lösungszeit',
+    incidentsByStatus: 'Vorfälle nach Status',
+    incidentsByPriority: 'Vorfälle nach Priorität',
+    resolutionRate: 'Lösungsquote',
+    incidentsPerWeek: 'Vorfälle pro Woche',
+    totalIncidents: 'Vorfälle insgesamt',
+    customersThisMonth: 'Neue Kunden in diesem Monat',
+    totalCustomers: 'Kunden insgesamt',
+    incidents: 'Vorfälle',
+    opened: 'Eröffnet',
+    resolved: 'Gelöst',
+    hours: '{value} Std.',
+    days: '{value} T.'
+  },
+  preferences: {
+    language: 'Sprache',
+    languageHint: 'Die Anwendung wird in der gewählten Sprache neu geladen.',
+    theme: 'Design',
+    themeChanged: 'Design zu {theme} geändert.',
+    dashboard: 'Dashboard',
+    customDashboard: 'Sie verwenden Ihr eigenes Dashboard-Layout.',
+    defaultDashboard: 'Sie verwenden das Standardlayout des Dashboards.',
+    resetDashboard: 'Dashboard-Layout zurücksetzen',
+    notSaved: 'Ihre Einstellungen konnten nicht gespeichert werden.',
+    notLoaded: 'Ihre Einstellungen konnten nicht geladen werden.'
+  }
+});
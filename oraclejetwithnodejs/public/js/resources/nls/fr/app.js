@@ -0,0 +1,233 @@
+define({
+  appName: 'Nom de l’application',
+  pages: {
+    dashboard: 'Tableau de bord',
+    incidents: 'Incidents',
+    customers: 'Clients',
+    users: 'Utilisateurs',
+    flags: 'Fonctionnalités',
+    about: 'À propos',
+    login: 'Connexion',
+    forbidden: 'Non autorisé'
+  },
+  pageLoaded: 'Page {page} chargée.',
+  titleTemplate: '{page} – {appName}',
+  descriptions: {
+    app: 'Suivez les incidents et les clients concernés.',
+    dashboard: 'Les chiffres des incidents et des clients en un coup d’œil.',
+    incidents: 'Les incidents signalés par les clients et leur avancement.',
+    customers: 'Les clients et leurs coordonnées.',
+    users: 'Les utilisateurs de l’application et leurs rôles.',
+    flags: 'Les parties de l’application activées pour certains utilisateurs et pas pour d’autres.',
+    about: 'À propos de cette application.'
+  },
+  footer: {
+    aboutOracle: 'À propos d’Oracle',
+    contactUs: 'Nous contacter',
+    legalNotices: 'Mentions légales',
+    termsOfUse: 'Conditions d’utilisation',
+    yourPrivacyRights: 'Vos droits en matière de confidentialité',
+    copyright: 'Copyright © 2014, 2021 Oracle et/ou ses affiliés. Tous droits réservés.'
+  },
+  shell: {
+    logo: 'Logo Oracle',
+    userMenu: {
+      preferences: 'Préférences',
+      help: 'Aide',
+      about: 'À propos',
+      signOut: 'Se déconnecter'
+    },
+    help: 'Aide',
+    closeHelp: 'Fermer l’aide',
+    preferences: 'Préférences',
+    close: 'Fermer',
+    skipToContent: 'Aller au contenu'
+  },
+  sync: {
+    online: 'En ligne',
+    offline: 'Hors ligne',
+    sending: 'Envoi des modifications',
+    pending: '{status}, {count} en attente',
+    lastSent: 'Dernier envoi des modifications : {time}',
+    notYet: 'pas encore',
+    empty: 'Aucune modification n’attend d’être envoyée.',
+    change: 'Modification de {record}',
+    made: 'Faite le {time}',
+    discard: 'Abandonner la modification de {record}',
+    retry: 'Réessayer maintenant',
+    refused: 'Une modification de {record} faite hors ligne n’a pas été enregistrée',
+    refusedAnnouncement: 'Une modification faite hors ligne n’a pas été enregistrée.',
+    saved: 'Les modifications faites hors ligne ont été enregistrées.',
+    discarded: 'La modification de {record} a été abandonnée.',
+    onlineOnly: 'L’ajout et la suppression d’enregistrements nécessitent une connexion au serveur. Réessayez une fois de nouveau en ligne.'
+  },
+  records: {
+    incident: 'incident {id}',
+    customer: 'client {id}'
+  },
+  conflict: {
+    title: 'Modifications en conflit',
+    intro: 'Quelqu’un d’autre a modifié {record} après votre modification. ' +
+      'Gardez vos valeurs, les leurs, ou choisissez une valeur pour chaque champ et fusionnez.',
+    empty: '(vide)',
+    yours: 'Les vôtres : {value}',
+    theirs: 'Les leurs : {value}',
+    keepTheirs: 'Garder les leurs',
+    keepMine: 'Garder les miennes',
+    merge: 'Fusionner'
+  },
+  values: {
+    'open': 'Ouvert',
+    'in-progress': 'En cours',
+    'resolved': 'Résolu',
+    'closed': 'Fermé',
+    'low': 'Basse',
+    'medium': 'Moyenne',
+    'high': 'Haute',
+    'critical': 'Critique'
+  },
+  roles: {
+    viewer: 'Lecteur',
+    agent: 'Agent',
+    admin: 'Administrateur'
+  },
+  fields: {
+    title: 'Titre',
+    description: 'Description',
+    priority: 'Priorité',
+    status: 'Statut',
+    customerId: 'Client',
+    created: 'Créé',
+    name: 'Nom',
+    email: 'E-mail',
+    phone: 'Téléphone',
+    company: 'Société',
+    city: 'Ville',
+    country: 'Pays',
+    role: 'Rôle',
+    password: 'Mot de passe'
+  },
+  form: {
+    reset: 'Réinitialiser',
+    save: 'Enregistrer',
+    any: 'Tous',
+    offline: 'Vous êtes hors ligne. Les modifications sont conservées sur cet appareil et envoyées au retour de la connexion.',
+    recordInfo: '{record}, créé le {created}, modifié le {updated}'
+  },
+  login: {
+    heading: 'Connexion',
+    signIn: 'Se connecter',
+    failed: 'Vous n’avez pas pu être connecté.',
+    failedAnnouncement: 'Échec de la connexion.'
+  },
+  forbidden: {
+    heading: 'Non autorisé',
+    text: 'Votre rôle ({role}) ne vous donne pas accès à {page}. Demandez à un administrateur si vous en avez besoin.',
+    thisPage: 'cette page',
+    goHome: 'Aller au tableau de bord',
+    announcement: 'Vous n’avez pas l’autorisation d’ouvrir {page}.'
+  },
+  about: {
+    heading: 'Zone de contenu À propos',
+    text: 'Pour modifier le contenu de cette section, modifiez le fichier about.html situé dans le dossier /js/views.'
+  },
+  users: {
+    roleOf: 'Rôle de {name}',
+    roleChanged: '{name} est maintenant {role}.',
+    roleNotChanged: 'Le rôle n’a pas pu être modifié.',
+    notLoaded: 'Les utilisateurs n’ont pas pu être chargés.'
+  },
+  flags: {
+    enabled: 'Activée',
+    rollout: 'Déploiement (%)',
+    enabledOf: '{flag} activée',
+    rolloutOf: 'Déploiement de {flag}, en pourcentage des utilisateurs',
+    limitedTo: 'Limitée à',
+    noLimits: 'Tout le monde',
+    switchedOn: '{flag} est activée.',
+    switchedOff: '{flag} est désactivée.',
+    rolledOut: '{flag} est déployée pour {rollout} % des utilisateurs.',
+    notChanged: 'La fonctionnalité n’a pas pu être modifiée.',
+    notLoaded: 'Les fonctionnalités n’ont pas pu être chargées.'
+  },
+  incidents: {
+    offline: 'Vous êtes hors ligne. Voici les incidents enregistrés sur cet appareil.',
+    back: 'Retour aux incidents',
+    notFound: 'Incident introuvable',
+    notFoundText: 'Il n’y a pas d’incident avec cet identifiant. Il a peut-être été supprimé, ou n’a pas été enregistré sur cet appareil pour une utilisation hors ligne.',
+    record: 'Incident {id}',
+    loaded: 'Incident {title} chargé.',
+    notSaved: 'L’incident n’a pas pu être enregistré.',
+    keptTheirs: 'L’incident a été laissé tel que quelqu’un d’autre l’a enregistré',
+    saved: 'Incident enregistré',
+    savedOnDevice: 'Incident enregistré sur cet appareil',
+    sentLater: 'Il sera envoyé au retour de la connexion.',
+    savedOnDeviceAnnouncement: 'Incident enregistré sur cet appareil. Il sera envoyé au retour de la connexion.'
+  },
+  customers: {
+    search: 'Rechercher',
+    searchPlaceholder: 'Nom, e-mail, société, ville ou pays',
+    pageSize: 'Lignes par page',
+    back: 'Retour aux clients',
+    notFound: 'Client introuvable',
+    notFoundText: 'Il n’y a pas de client avec cet identifiant. Il a peut-être été supprimé.',
+    record: 'Client {id}',
+    loaded: 'Client {name} chargé.',
+    notSaved: 'Le client n’a pas pu être enregistré.',
+    keptTheirs: 'Le client a été laissé tel que quelqu’un d’autre l’a enregistré',
+    saved: 'Client enregistré',
+    emailHint: 'Saisissez une adresse e-mail telle que name@example.com',
+    emailInvalid: 'Saisissez une adresse e-mail valide.',
+    phoneHint: 'Chiffres, espaces, parenthèses et tirets, avec un + initial facultatif',
+    phoneInvalid: 'Saisissez un numéro de téléphone valide.'
+  },
+  dashboard: {
+    layout: 'Disposition du tableau de bord',
+    addWidget: 'Ajouter un widget',
+    resetLayout: 'Rétablir la disposition par défaut',
+    customize: 'Personnaliser',
+    done: 'Terminé',
+    dragToMove: 'Faire glisser pour déplacer',
+    moveEarlier: 'Avancer {widget}',
+    moveLater: 'Reculer {widget}',
+    resize: 'Redimensionner {widget}',
+    remove: 'Retirer {widget}',
+    resized: '{widget} redimensionné.',
+    removed: '{widget} retiré du tableau de bord.',
+    moved: '{widget} déplacé en position {position}.',
+    added: '{widget} ajouté au tableau de bord.',
+    reset: 'Le tableau de bord a retrouvé sa disposition par défaut.',
+    notSaved: 'La disposition de votre tableau de bord n’a pas pu être enregistrée.',
+    notReset: 'La disposition de votre tableau de bord n’a pas pu être réinitialisée.',
+    widgetsNotLoaded: 'Les widgets du tableau de bord n’ont pas pu être chargés.',
+    notLoaded: 'Le tableau de bord n’a pas pu être chargé.'
+  },
+  widgets: {
+    openIncidents: 'Incidents ouverts',
+    meanTimeToResolve: 'Délai moyen de résolution',
+    incidentsByStatus: 'Incidents par statut',
+    incidentsByPriority: 'Incidents par priorité',
+    resolutionRate: 'Taux de résolution',
+    incidentsPerWeek: 'Incidents par semaine',
+    totalIncidents: 'Total des incidents',
+    customersThisMonth: 'Clients ajoutés ce mois-ci',
+    totalCustomers: 'Total des clients',
+    incidents: 'Incidents',
+    opened: 'Ouverts',
+    resolved: 'Résolus',
+    hours: '{value} h',
+    days: '{value} j'
+  },
+  preferences: {
+    language: 'Langue',
+    languageHint: 'L’application est rechargée dans la langue choisie.',
+    theme: 'Thème',
+    themeChanged: 'Thème changé en {theme}.',
+    dashboard: 'Tableau de bord',
+    customDashboard: 'Vous utilisez votre propre disposition du tableau de bord.',
+    defaultDashboard: 'Vous utilisez la disposition par défaut du tableau de bord.',
+    resetDashboard: 'Réinitialiser la disposition du tableau de bord',
+    notSaved: 'Vos préférences n’ont pas pu être enregistrées.',
+    notLoaded: 'Vos préférences n’ont pas pu être chargées.'
+  }
+});
@@ -0,0 +1,233 @@
+define({
+  appName: 'שם היישום',
+  pages: {
+    dashboard: 'לוח מחוונים',
+    incidents: 'תקלות',
+    customers: 'לקוחות',
+    users: 'משתמשים',
+    flags: 'דגלי תכונות',
+    about: 'אודות',
+    login: 'כניסה',
+    forbidden: 'אין הרשאה'
+  },
+  pageLoaded: 'הדף {page} נטען.',
+  titleTemplate: '{page} – {appName}',
+  descriptions: {
+    app: 'מעקב אחר תקלות והלקוחות שהן משפיעות עליהם.',
+    dashboard: 'נתוני תקלות ולקוחות במבט אחד.',
+    incidents: 'תקלות שדווחו על ידי לקוחות וההתקדמות בטיפול בהן.',
+    customers: 'לקוחות ופרטי הקשר שלהם.',
+    users: 'משתמשי היישום והתפקידים שלהם.',
+    flags: 'חלקי היישום שמופעלים עבור חלק מהמשתמשים ולא עבור אחרים.',
+    about: 'אודות היישום הזה.'
+  },
+  footer: {
+    aboutOracle: 'אודות Oracle',
+    contactUs: 'צור קשר',
+    legalNotices: 'הודעות משפטיות',
+    termsOfUse: 'תנאי שימוש',
+    yourPrivacyRights: 'זכויות הפרטיות שלך',
+    copyright: 'זכויות יוצרים © 2014, 2021 Oracle ו/או החברות המסונפות לה. כל הזכויות שמורות.'
+  },
+  shell: {
+    logo: 'הלוגו של Oracle',
+    userMenu: {
+      preferences: 'העדפות',
+      help: 'עזרה',
+      about: 'אודות',
+      signOut: 'יציאה'
+    },
+    help: 'עזרה',
+    closeHelp: 'סגירת העזרה',
+    preferences: 'העדפות',
+    close: 'סגירה',
+    skipToContent: 'דילוג לתוכן'
+  },
+  sync: {
+    online: 'מחובר',
+    offline: 'לא מחובר',
+    sending: 'שולח שינויים',
+    pending: '{status}, {count} ממתינים',
+    lastSent: 'השינויים נשלחו לאחרונה: {time}',
+    notYet: 'עדיין לא',
+    empty: 'אין שינויים שממתינים לשליחה.',
+    change: 'שינוי ב{record}',
+    made: 'בוצע {time}',
+    discard: 'ביטול השינוי ב{record}',
+    retry: 'ניסיון חוזר עכשיו',
+    refused: 'שינוי ב{record} שבוצע ללא חיבור לא נשמר',
+    refusedAnnouncement: 'שינוי שבוצע ללא חיבור לא נשמר.',
+    saved: 'השינויים שבוצעו ללא חיבור נשמרו.',
+    discarded: 'השינוי ב{record} בוטל.',
+    onlineOnly: 'הוספה ומחיקה של רשומות דורשות חיבור לשרת. נסו שוב כשהחיבור יחזור.'
+  },
+  records: {
+    incident: 'תקלה {id}',
+    customer: 'לקוח {id}'
+  },
+  conflict: {
+    title: 'שינויים מתנגשים',
+    intro: 'מישהו אחר שינה את {record} אחרי שהשינוי שלך בוצע. ' +
+      'שמור את הערכים שלך, את שלו, או בחר ערך לכל שדה ומזג.',
+    empty: '(ריק)',
+    yours: 'שלך: {value}',
+    theirs: 'שלו: {value}',
+    keepTheirs: 'שמירת שלו',
+    keepMine: 'שמירת שלי',
+    merge: 'מיזוג'
+  },
+  values: {
+    'open': 'פתוחה',
+    'in-progress': 'בטיפול',
+    'resolved': 'נפתרה',
+    'closed': 'סגורה',
+    'low': 'נמוכה',
+    'medium': 'בינונית',
+    'high': 'גבוהה',
+    'critical': 'קריטית'
+  },
+  roles: {
+    viewer: 'צופה',
+    agent: 'נציג',
+    admin: 'מנהל'
+  },
+  fields: {
+    title: 'כותרת',
+    description: 'תיאור',
+    priority: 'עדיפות',
+    status: 'מצב',
+    customerId: 'לקוח',
+    created: 'נוצר',
+    name: 'שם',
+    email: 'דוא״ל',
+    phone: 'טלפון',
+    company: 'חברה',
+    city: 'עיר',
+    country: 'מדינה',
+    role: 'תפקיד',
+    password: 'סיסמה'
+  },
+  form: {
+    reset: 'איפוס',
+    save: 'שמירה',
+    any: 'הכול',
+    offline: 'אין חיבור. השינויים נשמרים במכשיר הזה ונשלחים כשהחיבור חוזר.',
+    recordInfo: '{record}, נוצר {created}, עודכן לאחרונה {updated}'
+  },
+  login: {
+    heading: 'כניסה',
+    signIn: 'כניסה',
+    failed: 'לא ניתן היה להכניס אותך.',
+    failedAnnouncement: 'הכניסה נכשלה.'
+  },
+  forbidden: {
+    heading: 'אין הרשאה',
+    text: 'התפקיד שלך ({role}) לא נותן לך גישה אל {page}. פנה למנהל אם אתה זקוק לה.',
+    thisPage: 'הדף הזה',
+    goHome: 'מעבר ללוח המחוונים',
+    announcement: 'אין לך הרשאה לפתוח את {page}.'
+  },
+  about: {
+    heading: 'אזור התוכן של אודות',
+    text: 'כדי לשנות את התוכן של החלק הזה, ערוך את הקובץ about.html שנמצא בתיקייה /js/views.'
+  },
+  users: {
+    roleOf: 'התפקיד של {name}',
+    roleChanged: '{name} הוא עכשיו {role}.',
+    roleNotChanged: 'לא ניתן היה לשנות את התפקיד.',
+    notLoaded: 'לא ניתן היה לטעון את המשתמשים.'
+  },
+  flags: {
+    enabled: 'מופעל',
+    rollout: 'הפצה (%)',
+    enabledOf: '{flag} מופעל',
+    rolloutOf: 'הפצה של {flag}, באחוזים מהמשתמשים',
+    limitedTo: 'מוגבל ל',
+    noLimits: 'כולם',
+    switchedOn: '{flag} מופעל.',
+    switchedOff: '{flag} כבוי.',
+    rolledOut: '{flag} מופץ ל-{rollout}% מהמשתמשים.',
+    notChanged: 'לא ניתן היה לשנות את דגל התכונה.',
+    notLoaded: 'לא ניתן היה לטעון את דגלי התכונות.'
+  },
+  incidents: {
+    offline: 'אין חיבור. אלה התקלות שנשמרו במכשיר הזה.',
+    back: 'חזרה לתקלות',
+    notFound: 'התקלה לא נמצאה',
+    notFoundText: 'אין תקלה עם המזהה הזה. ייתכן שהיא נמחקה, או שלא נשמרה במכשיר הזה לשימוש ללא חיבור.',
+    record: 'תקלה {id}',
+    loaded: 'התקלה {title} נטענה.',
+    notSaved: 'לא ניתן היה לשמור את התקלה.',
+    keptTheirs: 'התקלה נשארה כפי שמישהו אחר שמר אותה',
+    saved: 'התקלה נשמרה',
+    savedOnDevice: 'התקלה נשמרה במכשיר הזה',
+    sentLater: 'היא תישלח כשהחיבור יחזור.',
+    savedOnDeviceAnnouncement: 'התקלה נשמרה במכשיר הזה. היא תישלח כשהחיבור יחזור.'
+  },
+  customers: {
+    search: 'חיפוש',
+    searchPlaceholder: 'שם, דוא״ל, חברה, עיר או מדינה',
+    pageSize: 'שורות בדף',
+    back: 'חזרה ללקוחות',
+    notFound: 'הלקוח לא נמצא',
+    notFoundText: 'אין לקוח עם המזהה הזה. ייתכן שהוא נמחק.',
+    record: 'לקוח {id}',
+    loaded: 'הלקוח {name} נטען.',
+    notSaved: 'לא ניתן היה לשמור את הלקוח.',
+    keptTheirs: 'הלקוח נשאר כפי שמישהו אחר שמר אותו',
+    saved: 'הלקוח נשמר',
+    emailHint: 'הזן כתובת דוא״ל כמו name@example.com',
+    emailInvalid: 'הזן כתובת דוא״ל חוקית.',
+    phoneHint: 'ספרות, רווחים, סוגריים ומקפים, עם + אופציונלי בהתחלה',
+    phoneInvalid: 'הזן מספר טלפון חוקי.'
+  },
+  dashboard: {
+    layout: 'פריסת לוח המחוונים',
+    addWidget: 'הוספת וידג׳ט',
+    resetLayout: 'איפוס לברירת המחדל',
+    customize: 'התאמה אישית',
+    done: 'סיום',
+    dragToMove: 'גרור כדי להזיז',
+    moveEarlier: 'הזזת {widget} קדימה',
+    moveLater: 'הזזת {widget} אחורה',
+    resize: 'שינוי הגודל של {widget}',
+    remove: 'הסרת {widget}',
+    resized: 'הגודל של {widget} שונה.',
+    removed: '{widget} הוסר מלוח המחוונים.',
+    moved: '{widget} הוזז למקום {position}.',
+    added: '{widget} נוסף ללוח המחוונים.',
+    reset: 'לוח המחוונים אופס לפריסת ברירת המחדל.',
+    notSaved: 'לא ניתן היה לשמור את פריסת לוח המחוונים שלך.',
+    notReset: 'לא ניתן היה לאפס את פריסת לוח המחוונים שלך.',
+    widgetsNotLoaded: 'לא ניתן היה לטעון את הווידג׳טים של לוח המחוונים.',
+    notLoaded: 'לא ניתן היה לטעון את לוח המחוונים.'
+  },
+  widgets: {
+    openIncidents: 'תקלות פתוחות',
+    meanTimeToResolve: 'זמן פתרון ממוצע',
+    incidentsByStatus: 'תקלות לפי מצב',
+    incidentsByPriority: 'תקלות לפי עדיפות',
+    resolutionRate: 'שיעור הפתרון',
+    incidentsPerWeek: 'תקלות בשבוע',
+    totalIncidents: 'סך כל התקלות',
+    customersThisMonth: 'לקוחות שנוספו החודש',
+    totalCustomers: 'סך כל הלקוחות',
+    incidents: 'תקלות',
+    opened: 'נפתחו',
+    resolved: 'נפתרו',
+    hours: '{value} שע׳',
+    days: '{value} ימים'
+  },
+  preferences: {
+    language: 'שפה',
+    languageHint: 'היישום נטען מחדש בשפה שבחרת.',
+    theme: 'ערכת נושא',
+    themeChanged: 'ערכת הנושא שונתה ל{theme}.',
+    dashboard: 'לוח מחוונים',
+    customDashboard: 'אתה משתמש בפריסה משלך של לוח המחוונים.',
+    defaultDashboard: 'אתה משתמש בפריסת ברירת המחדל של לוח המחוונים.',
+    resetDashboard: 'איפוס פריסת לוח המחוונים',
+    notSaved: 'לא ניתן היה לשמור את ההעדפות שלך.',
+    notLoaded: 'לא ניתן היה לטעון את ההעדפות שלך.'
+  }
+});
@@ -0,0 +1,166 @@
+/*
+ * DataProvider over one of the application's paged collection endpoints
+ * (GET /api/customers?offset=&limit=&orderBy=&q=). Paging, sorting and
+ * filtering all happen on the server; only the requested rows are loaded.
+ *
+ * Wrap it in a PagingDataProviderView to drive oj-table + oj-paging-control.
+ */
+define(['apiClient', 'ojs/ojeventtarget', 'ojs/ojdataprovider'],
+  function (apiClient, ojeventtarget, ojdataprovider) {
+    const DEFAULT_SIZE = 25;
+
+    /**
+     * @param {string} url collection URL, e.g. "api/customers"
+     * @param {Object=} options
+     * @param {string=} options.keyAttributes attribute holding the key, "id" by default
+     * @param {Object=} options.params extra query parameters sent with every
+     *   request, such as { q: 'text' }. Blank values are left out.
+     */
+    function RestDataProvider(url, options) {
+      options = options || {};
+      this.url = url;
+      this.keyAttributes = options.keyAttributes || 'id';
+      this.params = options.params || {};
+      this._totalSize = -1;
+    }
+
+    RestDataProvider.prototype._query = function (offset, size, sortCriteria) {
+      let search = new URLSearchParams();
+      Object.keys(this.params).forEach((name) => {
+        let value = this.params[name];
+        if (value !== undefined && value !== null && value !== '') {
+          search.set(name, value);
+        }
+      });
+      search.set('offset', offset);
+      search.set('limit', size);
+      if (sortCriteria && sortCriteria.length) {
+        search.set('orderBy', sortCriteria.map((criterion) => {
+          return criterion.attribute + ':' + (criterion.direction === 'descending' ? 'desc' : 'asc');
+        }).join(','));
+      }
+      return search.toString();
+    };
+
+    RestDataProvider.prototype._fetchPage = function (offset, size, sortCriteria) {
+      return apiClient.get(this.url + '?' + this._query(offset, size, sortCriteria)).then((page) => {
+        this._totalSize = page.totalResults;
+        return page;
+      });
+    };
+
+    RestDataProvider.prototype._metadata = function (item) {
+      return { key: item[this.keyAttributes] };
+    };
+
+    RestDataProvider.prototype.fetchFirst = function (params) {
+      let size = params && params.size > 0 ? params.size : DEFAULT_SIZE;
+      let sortCriteria = params && params.sortCriteria;
+      let offset = 0;
+      let done = false;
+
+      return {
+        [Symbol.asyncIterator]: () => {
+          return {
+            next: () => {
+              if (done) {
+                return Promise.resolve({ done: true, value: { fetchParameters: params, data: [], metadata: [] } });
+              }
+              return this._fetchPage(offset, size, sortCriteria).then((page) => {
+                offset += page.count;
+                done = !page.hasMore;
+                return {
+                  done: done,
+                  value: {
+                    fetchParameters: params,
+                    data: page.items,
+                    metadata: page.items.map((item) => this._metadata(item))
+                  }
+                };
+              });
+            }
+          };
+        }
+      };
+    };
+
+    RestDataProvider.prototype.fetchByOffset = function (params) {
+      let size = params.size > 0 ? params.size : DEFAULT_SIZE;
+      return this._fetchPage(params.offset || 0, size, params.sortCriteria).then((page) => {
+        return {
+          fetchParameters: params,
+          done: !page.hasMore,
+          results: page.items.map((item) => {
+            return { data: item, metadata: this._metadata(item) };
+          })
+        };
+      });
+    };
+
+    /**
+     * Look up each key with GET url/key. Unknown keys are left out of the
+     * results.
+     */
+    RestDataProvider.prototype.fetchByKeys = function (params) {
+      let results = new Map();
+      let lookups = Array.from(params.keys).map((key) => {
+        return apiClient.get(this.url + '/' + encodeURIComponent(key)).then((item) => {
+          results.set(key, { data: item, metadata: this._metadata(item) });
+        }, (error) => {
+          if (error.status !== 404) {
+            throw error;
+          }
+        });
+      });
+      return Promise.all(lookups).then(() => {
+        return { fetchParameters: params, results: results };
+      });
+    };
+
+    RestDataProvider.prototype.containsKeys = function (params) {
+      return this.fetchByKeys(params).then((fetched) => {
+        return { containsParameters: params, results: new Set(fetched.results.keys()) };
+      });
+    };
+
+    RestDataProvider.prototype.getTotalSize = function () {
+      if (this._totalSize >= 0) {
+        return Promise.resolve(this._totalSize);
+      }
+      return this._fetchPage(0, 1).then((page) => page.totalResults);
+    };
+
+    RestDataProvider.prototype.isEmpty = function () {
+      if (this._totalSize < 0) {
+        return 'unknown';
+      }
+      return this._totalSize === 0 ? 'yes' : 'no';
+    };
+
+    RestDataProvider.prototype.getCapability = function (capabilityName) {
+      switch (capabilityName) {
+        case 'sort':
+          return { attributes: 'multiple' };
+        case 'fetchByOffset':
+          return { implementation: 'randomAccess' };
+        case 'fetchByKeys':
+          return { implementation: 'lookup' };
+        default:
+          return null;
+      }
+    };
+
+    /**
+     * Tell consumers to throw away what they have and fetch again, e.g. after
+     * a record was saved somewhere else in the application.
+     */
+    RestDataProvider.prototype.refresh = function () {
+      this._totalSize = -1;
+      this.dispatchEvent(new ojdataprovider.DataProviderRefreshEvent());
+    };
+
+    ojeventtarget.EventTargetMixin.applyMixin(RestDataProvider);
+
+    return RestDataProvider;
+  }
+);
@@ -0,0 +1,76 @@
+/*
+ * The signed in user, shared by the shell and the pages.
+ *
+ * `user` is undefined until /api/me has answered, then the user object or
+ * null when nobody is signed in. It also drops to null whenever an API call
+ * is refused because the session has ended.
+ *
+ * Users have one of ROLES; each role may do everything the roles before it
+ * can (see lib/identity.js on the server, which enforces the same rules).
+ */
+define(['knockout', 'apiClient'],
+  function (ko, apiClient) {
+    const ROLES = ['viewer', 'agent', 'admin'];
+    const user = ko.observable();
+    let loading = null;
+
+    document.addEventListener('unauthenticated', () => user(null));
+
+    function load() {
+      loading = apiClient.get('api/me').then((me) => {
+        user(me);
+        return me;
+      }, (error) => {
+        user(null);
+        throw error;
+      });
+      return loading;
+    }
+
+    /**
+     * Resolve with the user, or null when signed out, once that is known.
+     */
+    function current() {
+      if (user() !== undefined) {
+        return Promise.resolve(user());
+      }
+      return (loading || load()).catch(() => null);
+    }
+
+    /**
+     * Whether the signed in user has `role` or a role above it. Without a
+     * role this only checks that somebody is signed in.
+     */
+    function hasRole(role) {
+      let me = user();
+      return !!me && (!role || ROLES.indexOf(me.role) >= ROLES.indexOf(role));
+    }
+
+    function signIn(email, password) {
+      return apiClient.post('api/session', { email: email, password: password }).then((me) => {
+        user(me);
+        return me;
+      });
+    }
+
+    /**
+     * End the session on the server. The user is signed out locally even if
+     * that call fails.
+     */
+    function signOut() {
+      return apiClient.del('api/session').catch(() => undefined).then(() => {
+        user(null);
+      });
+    }
+
+    return {
+      ROLES: ROLES,
+      user: user,
+      load: load,
+      current: current,
+      hasRole: hasRole,
+      signIn: signIn,
+      signOut: signOut
+    };
+  }
+);
@@ -0,0 +1,67 @@
+/*
+ * The application's strings (resources/nls/app.js) in the current locale,
+ * and the locales the user can pick from.
+ *
+ * The locale is fixed while the page is loaded: the server picks it, from the
+ * signed in user's preferences, the one last picked on this device or else
+ * the browser's languages, and configures the ojL10n plugin with it in
+ * index.html (lib/locales.js and routes/index.js), so JET's own translations
+ * and converters follow it too. Switching to another locale reloads the page.
+ */
+define(['ojL10n!resources/nls/app', 'ojs/ojtranslation', 'ojs/ojconfig'],
+  function (bundle, Translations, Config) {
+    // the cookie the server reads the locale from when nobody is signed in
+    const COOKIE = 'locale';
+    const COOKIE_MAX_AGE = 365 * 24 * 60 * 60;
+
+    // the locales in lib/locales.js, with their names shown in their own
+    // language; Arabic and Hebrew are laid out right to left
+    const LOCALES = [
+      { value: 'en-US', label: 'English' },
+      { value: 'ar-SA', label: 'العربية' },
+      { value: 'de-DE', label: 'Deutsch' },
+      { value: 'fr-FR', label: 'Français' },
+      { value: 'he-IL', label: 'עברית' }
+    ];
+
+    /**
+     * Fill in the {name} placeholders of one of the strings.
+     * @param {string} pattern e.g. strings.app.dashboard.moved
+     * @param {Object=} params values by placeholder name
+     * @return {string}
+     */
+    function format(pattern, params) {
+      return Translations.applyParameters(pattern, params || {});
+    }
+
+    /**
+     * The picked locale out of LOCALES, matched on language for a locale that
+     * is not listed (e.g. de-AT is shown as Deutsch).
+     */
+    function current() {
+      let locale = Config.getLocale().toLowerCase();
+      let language = locale.split('-')[0];
+      return (LOCALES.find((option) => option.value.toLowerCase() === locale) ||
+        LOCALES.find((option) => option.value.split('-')[0] === language) ||
+        LOCALES[0]).value;
+    }
+
+    /**
+     * Show the application in another locale, and keep it on this device for
+     * when nobody is signed in. The page reloads.
+     */
+    function use(locale) {
+      document.cookie = COOKIE + '=' + encodeURIComponent(locale) +
+        '; path=/; max-age=' + COOKIE_MAX_AGE + '; samesite=lax';
+      location.reload();
+    }
+
+    return {
+      app: bundle,
+      LOCALES: LOCALES,
+      current: current,
+      format: format,
+      use: use
+    };
+  }
+);
@@ -0,0 +1,92 @@
+/*
+ * The JET theme the application is shown in, switched at runtime by swapping
+ * the theme stylesheet (link#css in index.html) without reloading the page.
+ *
+ * Users pick a theme in Preferences; it is saved with their other preferences
+ * as { theme: { name } } and applied by the shell once they are signed in.
+ *
+ * Both themes have high contrast styles, used when the system asks for more
+ * contrast or forced colors. Neither has a dark variant in JET 10, so a dark
+ * prefers-color-scheme is not followed.
+ */
+define(['knockout', 'ojs/ojthemeutils'],
+  function (ko, ThemeUtils) {
+    const THEMES = [
+      { name: 'redwood', label: 'Redwood', href: 'css/redwood/10.0.0/web/redwood.css' },
+      { name: 'alta', label: 'Alta', href: 'css/alta/10.0.0/web/alta.css' }
+    ];
+    const DEFAULT = 'redwood';
+    const HIGH_CONTRAST = ['(prefers-contrast: more)', '(forced-colors: active)'];
+
+    const current = ko.observable(DEFAULT);
+    let switching = Promise.resolve();
+
+    function find(name) {
+      return THEMES.find((theme) => theme.name === name) || THEMES.find((theme) => theme.name === DEFAULT);
+    }
+
+    /**
+     * Show the application in the theme called `name`, or in the default
+     * theme for an unknown name. Resolves once the new stylesheet is in use.
+     */
+    function apply(name) {
+      let theme = find(name);
+      switching = switching.then(() => {
+        let link = document.getElementById('css');
+        if (current() === theme.name) {
+          return undefined;
+        }
+        // load the new stylesheet next to the old one and only then drop the
+        // old one, so the page is never shown without a theme
+        return new Promise((resolve) => {
+          let next = link.cloneNode();
+          next.href = theme.href;
+          next.addEventListener('load', () => {
+            link.remove();
+            // JET caches values read from the theme
+            ThemeUtils.clearCache();
+            current(theme.name);
+            resolve();
+          });
+          next.addEventListener('error', () => {
+            next.remove();
+            resolve();
+          });
+          link.after(next);
+        });
+      });
+      return switching;
+    }
+
+    /**
+     * Follow the system's contrast setting. JET itself only checks for high
+     * contrast once, when the page loads.
+     */
+    function watchContrast() {
+      let queries = HIGH_CONTRAST.map((query) => window.matchMedia(query));
+      let added = false;
+      let update = () => {
+        let wanted = queries.some((query) => query.matches);
+        if (wanted && !document.body.classList.contains('oj-hicontrast')) {
+          document.body.classList.add('oj-hicontrast');
+          added = true;
+        } else if (!wanted && added) {
+          // leave the class alone when JET's own check set it
+          document.body.classList.remove('oj-hicontrast');
+          added = false;
+        }
+      };
+      queries.forEach((query) => query.addListener(update));
+      update();
+    }
+
+    watchContrast();
+
+    return {
+      THEMES: THEMES,
+      DEFAULT: DEFAULT,
+      current: current,
+      apply: apply
+    };
+  }
+);
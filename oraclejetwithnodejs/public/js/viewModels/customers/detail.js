@@ -0,0 +1,231 @@
+/**
+ * @license
+ * Copyright (c) 2014, 2021, Oracle and/or its affiliates.
+ * Licensed under The Universal Permissive License (UPL), Version 1.0
+ * as shown at https://oss.oracle.com/licenses/upl/
+ * @ignore
+ */
+/*
+ * Customer details and edit form, shown for customers/<id>.
+ */
+define(['knockout', 'accUtils', 'apiClient', 'session', 'conflicts', 'strings', 'ojs/ojcontext', 'ojs/ojconverter-datetime',
+  'ojs/ojasyncvalidator-length', 'ojs/ojasyncvalidator-regexp',
+  'ojs/ojformlayout', 'ojs/ojinputtext', 'ojs/ojlabel', 'ojs/ojvalidationgroup', 'ojs/ojbutton', 'ojs/ojmessages'],
+ function(ko, accUtils, apiClient, session, conflicts, strings, Context, DateTimeConverter, AsyncLengthValidator, AsyncRegExpValidator) {
+    // Must stay in step with the schema in routes/customers.js
+    const FIELDS = ['name', 'email', 'phone', 'company', 'city', 'country'];
+
+    function CustomerDetailViewModel(args) {
+      this.strings = strings.app;
+      this.router = args.parentRouter;
+
+      this.customer = ko.observable();
+      this.notFound = ko.observable(false);
+      this.saving = ko.observable(false);
+      this.groupValid = ko.observable();
+      this.messages = ko.observableArray([]);
+      // viewers get a read only form
+      this.canEdit = session.hasRole('agent');
+
+      this.dateConverter = new DateTimeConverter.IntlDateTimeConverter({
+        formatType: 'datetime', dateFormat: 'medium', timeFormat: 'short'
+      });
+      // e.g. "Customer 12, created <date>, last updated <date>"
+      this.recordInfo = ko.pureComputed(() => {
+        let customer = this.customer();
+        return customer ? strings.format(strings.app.form.recordInfo, {
+          record: strings.format(strings.app.customers.record, { id: customer.id }),
+          created: this.dateConverter.format(customer.createdAt),
+          updated: this.dateConverter.format(customer.updatedAt)
+        }) : '';
+      });
+
+      // One value and one list of server side messages per form field. Editing
+      // a field clears the server message shown on it.
+      this.values = {};
+      this.fieldMessages = {};
+      FIELDS.forEach((field) => {
+        this.values[field] = ko.observable('');
+        this.fieldMessages[field] = ko.observableArray([]);
+        this.values[field].subscribe(() => this.fieldMessages[field]([]));
+      });
+
+      const length = (max) => new AsyncLengthValidator({ max: max });
+      this.validators = {
+        name: [length(100)],
+        email: [length(254), new AsyncRegExpValidator({
+          pattern: '[^\\s@]+@[^\\s@]+\\.[^\\s@]+',
+          hint: strings.app.customers.emailHint,
+          messageDetail: strings.app.customers.emailInvalid
+        })],
+        phone: [length(30), new AsyncRegExpValidator({
+          pattern: '\\+?[0-9 ()-]{7,}',
+          hint: strings.app.customers.phoneHint,
+          messageDetail: strings.app.customers.phoneInvalid
+        })],
+        company: [length(100)],
+        city: [length(100)],
+        country: [length(100)]
+      };
+
+      this._fill = (customer) => {
+        this.customer(customer);
+        FIELDS.forEach((field) => {
+          this.values[field](customer[field] || '');
+        });
+      };
+
+      this._load = (id) => {
+        this.notFound(false);
+        this.messages([]);
+        return apiClient.get('api/customers/' + id).then((customer) => {
+          this._fill(customer);
+          accUtils.announce(strings.format(strings.app.customers.loaded, { name: customer.name }));
+        }, (error) => {
+          this.customer(null);
+          if (error.status === 404) {
+            this.notFound(true);
+          } else {
+            this._showError(error);
+          }
+        });
+      };
+
+      /**
+       * Show field errors returned by the API on their inputs and anything
+       * else as a page message.
+       */
+      this._showError = (error) => {
+        let unmatched = [];
+        (error.errors || []).forEach((fieldError) => {
+          let messages = this.fieldMessages[fieldError.field];
+          if (messages) {
+            messages([{ severity: 'error', summary: fieldError.message, detail: fieldError.message }]);
+          } else {
+            unmatched.push(fieldError.message);
+          }
+        });
+        if (!error.errors || !error.errors.length || unmatched.length) {
+          this.messages([{
+            severity: 'error',
+            summary: error.message || strings.app.customers.notSaved,
+            detail: unmatched.join(' ')
+          }]);
+        }
+        accUtils.announce(strings.app.customers.notSaved, 'assertive');
+        let tracker = document.getElementById('customerTracker');
+        if (tracker) {
+          tracker.focusOn('@firstInvalidShown');
+        }
+      };
+
+      /**
+       * PATCH the fields the user changed in `base`, the copy the edit
+       * started from, based on its version. When someone else saved the
+       * customer in the meantime the user settles the conflict first (see
+       * conflicts.js). Resolves with the saved customer, or null when the
+       * server's copy was kept.
+       */
+      this._send = (body, base) => {
+        return apiClient.patch('api/customers/' + base.id, body).catch((error) => {
+          if (error.code !== 'VERSION_CONFLICT') {
+            throw error;
+          }
+          return conflicts.ask({
+            record: strings.format(strings.app.records.customer, { id: base.id }),
+            base: base,
+            mine: body,
+            theirs: error.body.current
+          }).then((values) => {
+            if (values) {
+              return this._send(values, error.body.current);
+            }
+            this._fill(error.body.current);
+            return null;
+          });
+        });
+      };
+
+      this.save = () => {
+        let tracker = document.getElementById('customerTracker');
+        // wait for any async validators that are still running
+        Context.getPageContext().getBusyContext().whenReady().then(() => {
+          if (tracker.valid !== 'valid') {
+            tracker.showMessages();
+            tracker.focusOn('@firstInvalidShown');
+            return undefined;
+          }
+          let base = this.customer();
+          let body = { version: base.version };
+          FIELDS.forEach((field) => {
+            let value = this.values[field]() || '';
+            if (value !== (base[field] || '')) {
+              body[field] = value;
+            }
+          });
+          this.saving(true);
+          this.messages([]);
+          return this._send(body, base).then((customer) => {
+            if (!customer) {
+              this.messages([{ severity: 'info', summary: strings.app.customers.keptTheirs, autoTimeout: 5000 }]);
+              accUtils.announce(strings.app.customers.keptTheirs);
+              return;
+            }
+            this._fill(customer);
+            this.messages([{ severity: 'confirmation', summary: strings.app.customers.saved, autoTimeout: 5000 }]);
+            accUtils.announce(strings.app.customers.saved);
+          }, this._showError);
+        }).then(() => this.saving(false), () => this.saving(false));
+      };
+
+      this.reset = () => {
+        this._fill(this.customer());
+        FIELDS.forEach((field) => this.fieldMessages[field]([]));
+        this.messages([]);
+      };
+
+      this.backToList = (event) => {
+        event.preventDefault();
+        this.router.go({ path: '' });
+      };
+
+      // Below are a set of the ViewModel methods invoked by the oj-module component.
+      // Please reference the oj-module jsDoc for additional information.
+
+      /**
+       * Optional ViewModel method invoked after the View is inserted into the
+       * document DOM.  The application can put logic that requires the DOM being
+       * attached here.
+       * This method might be called multiple times - after the View is created
+       * and inserted into the DOM and after the View is reconnected
+       * after being disconnected.
+       */
+      this.connected = () => {
+        // Going from one customer to another reuses this module, so load
+        // whatever customer the child router is on now and after each change.
+        this._stateSubscription = this.router.currentState.subscribe((value) => {
+          if (value.state && value.state.detail.module === 'detail') {
+            this._load(value.state.path);
+          }
+        });
+      };
+
+      /**
+       * Optional ViewModel method invoked after the View is disconnected from the DOM.
+       */
+      this.disconnected = () => {
+        this._stateSubscription.unsubscribe();
+      };
+
+      /**
+       * Optional ViewModel method invoked after transition to the new View is complete.
+       * That includes any possible animation between the old and the new View.
+       */
+      this.transitionCompleted = () => {
+        // Implement if needed
+      };
+    }
+
+    return CustomerDetailViewModel;
+  }
+);
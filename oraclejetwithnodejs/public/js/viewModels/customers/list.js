@@ -0,0 +1,93 @@
+/**
+ * @license
+ * Copyright (c) 2014, 2021, Oracle and/or its affiliates.
+ * Licensed under The Universal Permissive License (UPL), Version 1.0
+ * as shown at https://oss.oracle.com/licenses/upl/
+ * @ignore
+ */
+/*
+ * Customer list, the default child route of the customers page.
+ */
+define(['knockout', 'strings', 'restDataProvider', 'ojs/ojpagingdataproviderview', 'ojs/ojarraydataprovider',
+  'ojs/ojtable', 'ojs/ojpagingcontrol', 'ojs/ojinputtext', 'ojs/ojselectsingle', 'ojs/ojlabel'],
+ function(ko, strings, RestDataProvider, PagingDataProviderView, ArrayDataProvider) {
+    function CustomerListViewModel(args) {
+      this.strings = strings.app;
+      // Child router created by viewModels/customers.js
+      this.router = args.parentRouter;
+
+      this.columns = [
+        { headerText: strings.app.fields.name, field: 'name', sortable: 'enabled', template: 'nameCell' },
+        { headerText: strings.app.fields.email, field: 'email', sortable: 'enabled' },
+        { headerText: strings.app.fields.phone, field: 'phone', sortable: 'disabled' },
+        { headerText: strings.app.fields.company, field: 'company', sortable: 'enabled' },
+        { headerText: strings.app.fields.city, field: 'city', sortable: 'enabled' },
+        { headerText: strings.app.fields.country, field: 'country', sortable: 'enabled' }
+      ];
+
+      this.pageSize = ko.observable(25);
+      this.pageSizeOptions = new ArrayDataProvider([10, 25, 50, 100].map((size) => {
+        return { value: size, label: String(size) };
+      }), { keyAttributes: 'value' });
+
+      // The search box filters on the server. Wait for typing to pause before
+      // asking for a new first page.
+      this.searchText = ko.observable('');
+      this.searchTerm = ko.pureComputed(() => this.searchText().trim())
+        .extend({ rateLimit: { timeout: 300, method: 'notifyWhenChangesStop' } });
+
+      this.dataProvider = ko.pureComputed(() => {
+        return new PagingDataProviderView(new RestDataProvider('api/customers', {
+          params: { q: this.searchTerm() }
+        }));
+      });
+
+      // Names link to customers/<id>. Plain clicks navigate with the router;
+      // modified clicks (new tab, new window) are left to the browser.
+      this.openCustomer = (event, context) => {
+        if (event.button !== 0 || event.ctrlKey || event.metaKey || event.shiftKey || event.altKey) {
+          return;
+        }
+        event.preventDefault();
+        this.router.go({ path: String(context.$current.row.id) });
+      };
+
+      // Below are a set of the ViewModel methods invoked by the oj-module component.
+      // Please reference the oj-module jsDoc for additional information.
+
+      /**
+       * Optional ViewModel method invoked after the View is inserted into the
+       * document DOM.  The application can put logic that requires the DOM being
+       * attached here.
+       * This method might be called multiple times - after the View is created
+       * and inserted into the DOM and after the View is reconnected
+       * after being disconnected.
+       */
+      this.connected = () => {
+        // Implement further logic if needed
+      };
+
+      /**
+       * Optional ViewModel method invoked after the View is disconnected from the DOM.
+       */
+      this.disconnected = () => {
+        // Implement if needed
+      };
+
+      /**
+       * Optional ViewModel method invoked after transition to the new View is complete.
+       * That includes any possible animation between the old and the new View.
+       */
+      this.transitionCompleted = () => {
+        // Implement if needed
+      };
+    }
+
+    /*
+     * Returns an instance of the ViewModel providing one instance of the ViewModel. If needed,
+     * return a constructor for the ViewModel so that the ViewModel is constructed
+     * each time the view is displayed.
+     */
+    return CustomerListViewModel;
+  }
+);
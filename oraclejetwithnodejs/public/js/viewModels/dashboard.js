@@ -6,11 +6,142 @@
  * @ignore
  */
 /*
- * Your dashboard ViewModel code goes here
+ * Dashboard of widgets from the widget catalogue (widgets/registry). Each
+ * user can reorder, resize, add and remove widgets; the layout is saved in
+ * the "dashboard" preference through /api/preferences. Customizing is behind
+ * the dashboardCustomization feature flag.
  */
-define(['accUtils'],
- function(accUtils) {
+define(['knockout', 'accUtils', 'apiClient', 'strings', 'widgets/registry', 'ojs/ojmodule-element-utils',
+  'ojs/ojmasonrylayout', 'ojs/ojmodule-element', 'ojs/ojbutton', 'ojs/ojtoolbar', 'ojs/ojmenu', 'ojs/ojmessages'],
+ function(ko, accUtils, apiClient, strings, registry, ModuleElementUtils) {
     function DashboardViewModel() {
+      this.strings = strings.app;
+      this.format = strings.format;
+
+      // Data shared by all widgets, loaded once per visit from /api/stats
+      this.stats = ko.observable();
+      this.messages = ko.observableArray([]);
+      this.editing = ko.observable(false);
+      this.tiles = ko.observableArray([]);
+
+      // Registered widgets that are not on the dashboard yet
+      this.available = ko.pureComputed(() => {
+        let shown = this.tiles().map((tile) => tile.id);
+        return registry.all().filter((widget) => shown.indexOf(widget.id) === -1);
+      });
+
+      this._showError = (summary, error) => {
+        this.messages([{ severity: 'error', summary: summary, detail: error && error.message }]);
+      };
+
+      this._createTile = (entry) => {
+        let widget = registry.get(entry.id);
+        let tile = {
+          id: widget.id,
+          title: widget.title,
+          sizes: widget.sizes,
+          size: ko.observable(entry.size),
+          config: ModuleElementUtils.createConfig({
+            name: widget.module,
+            params: { stats: this.stats, widget: widget }
+          })
+        };
+        tile.moveEarlier = () => this._move(tile, -1);
+        tile.moveLater = () => this._move(tile, 1);
+        tile.resize = (event) => {
+          tile.size(event.detail.selectedValue);
+          this._changed(strings.format(strings.app.dashboard.resized, { widget: tile.title }));
+        };
+        tile.remove = () => {
+          this.tiles.remove(tile);
+          this._changed(strings.format(strings.app.dashboard.removed, { widget: tile.title }));
+        };
+        return tile;
+      };
+
+      // Widgets whose feature flag is off keep their place in the saved layout
+      this._switchedOff = [];
+
+      this._setLayout = (layout) => {
+        this._switchedOff = registry.switchedOff(layout);
+        this.tiles(registry.sanitize(layout).map(this._createTile));
+      };
+
+      this._layout = () => {
+        return this.tiles().map((tile) => ({ id: tile.id, size: tile.size() })).concat(this._switchedOff);
+      };
+
+      this._refreshLayout = () => {
+        let layout = document.getElementById('dashboardLayout');
+        if (layout && layout.refresh) {
+          layout.refresh();
+        }
+      };
+
+      // Save after every change and let screen reader users know what happened
+      this._changed = (announcement) => {
+        this._refreshLayout();
+        accUtils.announce(announcement);
+        apiClient.patch('api/preferences', { dashboard: { widgets: this._layout() } })
+          .catch((error) => this._showError(strings.app.dashboard.notSaved, error));
+      };
+
+      this._moveTo = (tile, target) => {
+        if (target < 0 || target >= this.tiles().length) {
+          return;
+        }
+        this.tiles.remove(tile);
+        this.tiles.splice(target, 0, tile);
+        this._changed(strings.format(strings.app.dashboard.moved, { widget: tile.title, position: target + 1 }));
+      };
+
+      this._move = (tile, delta) => {
+        this._moveTo(tile, this.tiles.indexOf(tile) + delta);
+      };
+
+      // Drag and drop (or cut and paste) reorder done by oj-masonry-layout
+      this.onReorder = (event) => {
+        this._moveTo(this.tiles()[event.detail.fromIndex], event.detail.toIndex);
+      };
+
+      this.addWidget = (event) => {
+        let widget = registry.get(event.detail.selectedValue);
+        this.tiles.push(this._createTile({ id: widget.id, size: widget.size }));
+        this._changed(strings.format(strings.app.dashboard.added, { widget: widget.title }));
+      };
+
+      this.resetLayout = () => {
+        this._setLayout(registry.defaultLayout());
+        this._refreshLayout();
+        accUtils.announce(strings.app.dashboard.reset);
+        apiClient.patch('api/preferences', { dashboard: null })
+          .catch((error) => this._showError(strings.app.dashboard.notReset, error));
+      };
+
+      this.toggleEditing = () => {
+        this.editing(!this.editing());
+      };
+
+      // The layout can also be reset from the Preferences dialog
+      this._preferencesChanged = (event) => {
+        let saved = event.detail.dashboard;
+        this._setLayout(saved && saved.widgets ? saved.widgets : registry.defaultLayout());
+        this._refreshLayout();
+      };
+
+      this._load = () => {
+        let preferences = apiClient.get('api/preferences').catch(() => ({}));
+        Promise.all([registry.ready(), preferences]).then((results) => {
+          let saved = results[1].dashboard;
+          this._setLayout(saved && saved.widgets ? saved.widgets : registry.defaultLayout());
+        }, (error) => this._showError(strings.app.dashboard.widgetsNotLoaded, error));
+
+        // reload on every visit so the numbers reflect recent changes
+        apiClient.get('api/stats').then((stats) => {
+          this.stats(stats);
+        }, (error) => this._showError(strings.app.dashboard.notLoaded, error));
+      };
+
       // Below are a set of the ViewModel methods invoked by the oj-module component.
       // Please reference the oj-module jsDoc for additional information.
 
@@ -23,16 +154,15 @@ define(['accUtils'],
        * after being disconnected.
        */
       this.connected = () => {
-        accUtils.announce('Dashboard page loaded.');
-        document.title = "Dashboard";
-        // Implement further logic if needed
+        this._load();
+        document.addEventListener('preferenceschange', this._preferencesChanged);
       };
 
       /**
        * Optional ViewModel method invoked after the View is disconnected from the DOM.
        */
       this.disconnected = () => {
-        // Implement if needed
+        document.removeEventListener('preferenceschange', this._preferencesChanged);
       };
 
       /**
@@ -0,0 +1,107 @@
+/**
+ * @license
+ * Copyright (c) 2014, 2021, Oracle and/or its affiliates.
+ * Licensed under The Universal Permissive License (UPL), Version 1.0
+ * as shown at https://oss.oracle.com/licenses/upl/
+ * @ignore
+ */
+/*
+ * Feature flags, for admins: switch each one on or off and choose the
+ * percentage of users it is rolled out to, while the application runs.
+ */
+define(['knockout', 'accUtils', 'apiClient', 'flags', 'strings', 'ojs/ojarraydataprovider',
+  'ojs/ojtable', 'ojs/ojswitch', 'ojs/ojinputnumber', 'ojs/ojmessages'],
+ function(ko, accUtils, apiClient, flags, strings, ArrayDataProvider) {
+    function FlagsViewModel() {
+      this.strings = strings.app;
+      this.format = strings.format;
+      this.flags = ko.observableArray([]);
+      this.messages = ko.observableArray([]);
+
+      this.dataProvider = new ArrayDataProvider(this.flags, { keyAttributes: 'name' });
+
+      this.columns = [
+        { headerText: strings.app.fields.name, field: 'name' },
+        { headerText: strings.app.fields.description, field: 'description' },
+        { headerText: strings.app.flags.limitedTo, field: 'limits' },
+        { headerText: strings.app.flags.enabled, field: 'enabled', template: 'enabledCell' },
+        { headerText: strings.app.flags.rollout, field: 'rollout', template: 'rolloutCell' }
+      ];
+
+      // The roles and environments a flag is limited to, as one line
+      const limits = (flag) => {
+        let roles = (flag.roles || []).map((role) => strings.app.roles[role]);
+        let list = roles.concat(flag.environments || []);
+        return list.length ? list.join(', ') : strings.app.flags.noLimits;
+      };
+
+      // Save a change made in the table, putting the old value back if that
+      // fails. The shell asks for its own flags again so that it follows.
+      this._change = (event, values, announcement) => {
+        if (event.detail.updatedFrom !== 'internal') {
+          return;
+        }
+        let input = event.target;
+        let name = input.dataset.flag;
+        this.messages([]);
+        apiClient.patch('api/flags/definitions/' + name, values).then((flag) => {
+          accUtils.announce(strings.format(announcement(flag), { flag: flag.name, rollout: flag.rollout }));
+          flags.load();
+        }, (error) => {
+          input.value = event.detail.previousValue;
+          this.messages([{ severity: 'error', summary: strings.app.flags.notChanged, detail: error.message }]);
+          accUtils.announce(strings.app.flags.notChanged, 'assertive');
+        });
+      };
+
+      this.changeEnabled = (event) => {
+        this._change(event, { enabled: event.detail.value }, (flag) => {
+          return flag.enabled ? strings.app.flags.switchedOn : strings.app.flags.switchedOff;
+        });
+      };
+
+      this.changeRollout = (event) => {
+        if (event.detail.value === null) {
+          return;
+        }
+        this._change(event, { rollout: event.detail.value }, () => strings.app.flags.rolledOut);
+      };
+
+      // Below are a set of the ViewModel methods invoked by the oj-module component.
+      // Please reference the oj-module jsDoc for additional information.
+
+      /**
+       * Optional ViewModel method invoked after the View is inserted into the
+       * document DOM.  The application can put logic that requires the DOM being
+       * attached here.
+       * This method might be called multiple times - after the View is created
+       * and inserted into the DOM and after the View is reconnected
+       * after being disconnected.
+       */
+      this.connected = () => {
+        apiClient.get('api/flags/definitions').then((result) => {
+          this.flags(result.items.map((flag) => Object.assign({ limits: limits(flag) }, flag)));
+        }, (error) => {
+          this.messages([{ severity: 'error', summary: strings.app.flags.notLoaded, detail: error.message }]);
+        });
+      };
+
+      /**
+       * Optional ViewModel method invoked after the View is disconnected from the DOM.
+       */
+      this.disconnected = () => {
+        // Implement if needed
+      };
+
+      /**
+       * Optional ViewModel method invoked after transition to the new View is complete.
+       * That includes any possible animation between the old and the new View.
+       */
+      this.transitionCompleted = () => {
+        // Implement if needed
+      };
+    }
+
+    return FlagsViewModel;
+  }
+);
@@ -0,0 +1,59 @@
+/**
+ * @license
+ * Copyright (c) 2014, 2021, Oracle and/or its affiliates.
+ * Licensed under The Universal Permissive License (UPL), Version 1.0
+ * as shown at https://oss.oracle.com/licenses/upl/
+ * @ignore
+ */
+/*
+ * Shown by the route guards in appController.js in place of a page the
+ * user's role does not allow.
+ */
+define(['accUtils', 'session', 'strings'],
+ function(accUtils, session, strings) {
+    function ForbiddenViewModel(args) {
+      this.router = args.parentRouter;
+      this.page = args.routerState.params.page || strings.app.forbidden.thisPage;
+      this.role = session.user() ? strings.app.roles[session.user().role] : '';
+      this.strings = strings.app;
+      this.text = strings.format(strings.app.forbidden.text, { role: this.role, page: this.page });
+
+      this.goHome = (event) => {
+        event.preventDefault();
+        this.router.go({ path: '' });
+      };
+
+      // Below are a set of the ViewModel methods invoked by the oj-module component.
+      // Please reference the oj-module jsDoc for additional information.
+
+      /**
+       * Optional ViewModel method invoked after the View is inserted into the
+       * document DOM.  The application can put logic that requires the DOM being
+       * attached here.
+       * This method might be called multiple times - after the View is created
+       * and inserted into the DOM and after the View is reconnected
+       * after being disconnected.
+       */
+      this.connected = () => {
+        accUtils.announce(strings.format(strings.app.forbidden.announcement, { page: this.page }), 'assertive');
+      };
+
+      /**
+       * Optional ViewModel method invoked after the View is disconnected from the DOM.
+       */
+      this.disconnected = () => {
+        // Implement if needed
+      };
+
+      /**
+       * Optional ViewModel method invoked after transition to the new View is complete.
+       * That includes any possible animation between the old and the new View.
+       */
+      this.transitionCompleted = () => {
+        // Implement if needed
+      };
+    }
+
+    return ForbiddenViewModel;
+  }
+);
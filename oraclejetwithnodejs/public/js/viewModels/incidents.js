@@ -6,49 +6,28 @@
  * @ignore
  */
 /*
- * Your incidents ViewModel code goes here
+ * Incidents page. Hosts a child router so that /incidents shows the list and
+ * /incidents/<id> shows one incident, both under the Incidents nav item.
  */
-define(['accUtils'],
- function(accUtils) {
-    function IncidentsViewModel() {
-      // Below are a set of the ViewModel methods invoked by the oj-module component.
-      // Please reference the oj-module jsDoc for additional information.
+define(['pageMeta', 'strings', 'ojs/ojmodulerouter-adapter', 'ojs/ojmodule-element'],
+ function(pageMeta, strings, ModuleRouterAdapter) {
+    function IncidentsViewModel(args) {
+      // Child routes, the module to load is taken from detail.module. The list
+      // has the title of the page.
+      this.router = args.parentRouter.createChildRouter([
+        { path: '', detail: { module: 'list' } },
+        { path: /^\d+$/, detail: { module: 'detail', title: (state) => strings.format(strings.app.incidents.record, { id: state.path }) } }
+      ]);
+      pageMeta.follow(this.router);
+      this.router.sync();
 
-      /**
-       * Optional ViewModel method invoked after the View is inserted into the
-       * document DOM.  The application can put logic that requires the DOM being
-       * attached here.
-       * This method might be called multiple times - after the View is created
-       * and inserted into the DOM and after the View is reconnected
-       * after being disconnected.
-       */
-      this.connected = () => {
-        accUtils.announce('Incidents page loaded.');
-        document.title = "Incidents";
-        // Implement further logic if needed
-      };
-
-      /**
-       * Optional ViewModel method invoked after the View is disconnected from the DOM.
-       */
-      this.disconnected = () => {
-        // Implement if needed
-      };
-
-      /**
-       * Optional ViewModel method invoked after transition to the new View is complete.
-       * That includes any possible animation between the old and the new View.
-       */
-      this.transitionCompleted = () => {
-        // Implement if needed
-      };
+      this.moduleAdapter = new ModuleRouterAdapter(this.router, {
+        viewPath: 'views/incidents/',
+        viewModelPath: 'viewModels/incidents/',
+        pathKey: 'module'
+      });
     }
 
-    /*
-     * Returns an instance of the ViewModel providing one instance of the ViewModel. If needed,
-     * return a constructor for the ViewModel so that the ViewModel is constructed
-     * each time the view is displayed.
-     */
     return IncidentsViewModel;
   }
 );
@@ -0,0 +1,244 @@
+/**
+ * @license
+ * Copyright (c) 2014, 2021, Oracle and/or its affiliates.
+ * Licensed under The Universal Permissive License (UPL), Version 1.0
+ * as shown at https://oss.oracle.com/licenses/upl/
+ * @ignore
+ */
+/*
+ * Incident details and edit form, shown for incidents/<id>. Works offline
+ * too: saves made without a connection are kept on the device and sent
+ * later (see offline.js).
+ */
+define(['knockout', 'accUtils', 'apiClient', 'session', 'offline', 'conflicts', 'strings', 'ojs/ojcontext', 'ojs/ojconverter-datetime',
+  'ojs/ojarraydataprovider', 'ojs/ojasyncvalidator-length',
+  'ojs/ojformlayout', 'ojs/ojinputtext', 'ojs/ojselectsingle', 'ojs/ojlabel', 'ojs/ojvalidationgroup',
+  'ojs/ojbutton', 'ojs/ojmessages'],
+ function(ko, accUtils, apiClient, session, offline, conflicts, strings, Context, DateTimeConverter, ArrayDataProvider, AsyncLengthValidator) {
+    // Must stay in step with the schema in routes/incidents.js
+    const FIELDS = ['title', 'description', 'priority', 'status'];
+    const PRIORITIES = ['low', 'medium', 'high', 'critical'];
+
+    function IncidentDetailViewModel(args) {
+      this.strings = strings.app;
+      this.router = args.parentRouter;
+
+      this.incident = ko.observable();
+      this.notFound = ko.observable(false);
+      this.saving = ko.observable(false);
+      this.groupValid = ko.observable();
+      this.messages = ko.observableArray([]);
+      this.online = offline.online;
+      // viewers get a read only form
+      this.canEdit = session.hasRole('agent');
+
+      this.dateConverter = new DateTimeConverter.IntlDateTimeConverter({
+        formatType: 'datetime', dateFormat: 'medium', timeFormat: 'short'
+      });
+      // e.g. "Incident 12, created <date>, last updated <date>"
+      this.recordInfo = ko.pureComputed(() => {
+        let incident = this.incident();
+        return incident ? strings.format(strings.app.form.recordInfo, {
+          record: strings.format(strings.app.incidents.record, { id: incident.id }),
+          created: this.dateConverter.format(incident.createdAt),
+          updated: this.dateConverter.format(incident.updatedAt)
+        }) : '';
+      });
+
+      // One value and one list of server side messages per form field. Editing
+      // a field clears the server message shown on it.
+      this.values = {};
+      this.fieldMessages = {};
+      FIELDS.forEach((field) => {
+        this.values[field] = ko.observable('');
+        this.fieldMessages[field] = ko.observableArray([]);
+        this.values[field].subscribe(() => this.fieldMessages[field]([]));
+      });
+
+      this.validators = {
+        title: [new AsyncLengthValidator({ max: 200 })],
+        description: [new AsyncLengthValidator({ max: 4000 })]
+      };
+
+      const options = (values) => new ArrayDataProvider(values.map((value) => {
+        return { value: value, label: strings.app.values[value] || value };
+      }), { keyAttributes: 'value' });
+      this.priorityOptions = options(PRIORITIES);
+      // the current status and the ones the server says it may move to
+      this.statusOptions = ko.pureComputed(() => {
+        let incident = this.incident();
+        return options(incident ? [incident.status].concat(incident.allowedTransitions || []) : []);
+      });
+
+      this._fill = (incident) => {
+        this.incident(incident);
+        FIELDS.forEach((field) => {
+          this.values[field](incident[field] || '');
+        });
+      };
+
+      this._load = (id) => {
+        this.notFound(false);
+        this.messages([]);
+        return apiClient.get('api/incidents/' + id).then((incident) => {
+          this._fill(incident);
+          accUtils.announce(strings.format(strings.app.incidents.loaded, { title: incident.title }));
+        }, (error) => {
+          this.incident(null);
+          if (error.status === 404) {
+            this.notFound(true);
+          } else {
+            this._showError(error);
+          }
+        });
+      };
+
+      /**
+       * Show field errors returned by the API on their inputs and anything
+       * else as a page message.
+       */
+      this._showError = (error) => {
+        let unmatched = [];
+        (error.errors || []).forEach((fieldError) => {
+          let messages = this.fieldMessages[fieldError.field];
+          if (messages) {
+            messages([{ severity: 'error', summary: fieldError.message, detail: fieldError.message }]);
+          } else {
+            unmatched.push(fieldError.message);
+          }
+        });
+        if (!error.errors || !error.errors.length || unmatched.length) {
+          this.messages([{
+            severity: 'error',
+            summary: error.message || strings.app.incidents.notSaved,
+            detail: unmatched.join(' ')
+          }]);
+        }
+        accUtils.announce(strings.app.incidents.notSaved, 'assertive');
+        let tracker = document.getElementById('incidentTracker');
+        if (tracker) {
+          tracker.focusOn('@firstInvalidShown');
+        }
+      };
+
+      /**
+       * PATCH the fields the user changed in `base`, the copy the edit
+       * started from, based on its version. When someone else saved the
+       * incident in the meantime the user settles the conflict first (see
+       * conflicts.js). Resolves with the saved incident, or null when the
+       * server's copy was kept.
+       */
+      this._send = (body, base) => {
+        return apiClient.patch('api/incidents/' + base.id, body).catch((error) => {
+          if (error.code !== 'VERSION_CONFLICT') {
+            throw error;
+          }
+          return conflicts.ask({
+            record: strings.format(strings.app.records.incident, { id: base.id }),
+            base: base,
+            mine: body,
+            theirs: error.body.current
+          }).then((values) => {
+            if (values) {
+              return this._send(values, error.body.current);
+            }
+            this._fill(error.body.current);
+            return null;
+          });
+        });
+      };
+
+      this.save = () => {
+        let tracker = document.getElementById('incidentTracker');
+        // wait for any async validators that are still running
+        Context.getPageContext().getBusyContext().whenReady().then(() => {
+          if (tracker.valid !== 'valid') {
+            tracker.showMessages();
+            tracker.focusOn('@firstInvalidShown');
+            return undefined;
+          }
+          // only what the user changed, so a status left alone is not moved
+          let base = this.incident();
+          let body = { version: base.version };
+          FIELDS.forEach((field) => {
+            let value = this.values[field]() || '';
+            if (value !== (base[field] || '')) {
+              body[field] = value;
+            }
+          });
+          this.saving(true);
+          this.messages([]);
+          return this._send(body, base).then((incident) => {
+            if (!incident) {
+              this.messages([{ severity: 'info', summary: strings.app.incidents.keptTheirs, autoTimeout: 5000 }]);
+              accUtils.announce(strings.app.incidents.keptTheirs);
+              return;
+            }
+            this._fill(incident);
+            if (this.online()) {
+              this.messages([{ severity: 'confirmation', summary: strings.app.incidents.saved, autoTimeout: 5000 }]);
+              accUtils.announce(strings.app.incidents.saved);
+            } else {
+              this.messages([{
+                severity: 'info',
+                summary: strings.app.incidents.savedOnDevice,
+                detail: strings.app.incidents.sentLater,
+                autoTimeout: 5000
+              }]);
+              accUtils.announce(strings.app.incidents.savedOnDeviceAnnouncement);
+            }
+          }, this._showError);
+        }).then(() => this.saving(false), () => this.saving(false));
+      };
+
+      this.reset = () => {
+        this._fill(this.incident());
+        FIELDS.forEach((field) => this.fieldMessages[field]([]));
+        this.messages([]);
+      };
+
+      this.backToList = (event) => {
+        event.preventDefault();
+        this.router.go({ path: '' });
+      };
+
+      // Below are a set of the ViewModel methods invoked by the oj-module component.
+      // Please reference the oj-module jsDoc for additional information.
+
+      /**
+       * Optional ViewModel method invoked after the View is inserted into the
+       * document DOM.  The application can put logic that requires the DOM being
+       * attached here.
+       * This method might be called multiple times - after the View is created
+       * and inserted into the DOM and after the View is reconnected
+       * after being disconnected.
+       */
+      this.connected = () => {
+        // Going from one incident to another reuses this module, so load
+        // whatever incident the child router is on now and after each change.
+        this._stateSubscription = this.router.currentState.subscribe((value) => {
+          if (value.state && value.state.detail.module === 'detail') {
+            this._load(value.state.path);
+          }
+        });
+      };
+
+      /**
+       * Optional ViewModel method invoked after the View is disconnected from the DOM.
+       */
+      this.disconnected = () => {
+        this._stateSubscription.unsubscribe();
+      };
+
+      /**
+       * Optional ViewModel method invoked after transition to the new View is complete.
+       * That includes any possible animation between the old and the new View.
+       */
+      this.transitionCompleted = () => {
+        // Implement if needed
+      };
+    }
+
+    return IncidentDetailViewModel;
+  }
+);
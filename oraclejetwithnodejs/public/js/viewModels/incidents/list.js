@@ -0,0 +1,100 @@
+/**
+ * @license
+ * Copyright (c) 2014, 2021, Oracle and/or its affiliates.
+ * Licensed under The Universal Permissive License (UPL), Version 1.0
+ * as shown at https://oss.oracle.com/licenses/upl/
+ * @ignore
+ */
+/*
+ * Incident list, the default child route of the incidents page.
+ */
+define(['knockout', 'offline', 'strings', 'restDataProvider', 'ojs/ojpagingdataproviderview', 'ojs/ojarraydataprovider',
+  'ojs/ojconverter-datetime', 'ojs/ojtable', 'ojs/ojpagingcontrol', 'ojs/ojselectsingle', 'ojs/ojlabel'],
+ function(ko, offline, strings, RestDataProvider, PagingDataProviderView, ArrayDataProvider, DateTimeConverter) {
+    // Must stay in step with lib/workflow.js
+    const STATUSES = ['open', 'in-progress', 'resolved', 'closed'];
+    const PRIORITIES = ['low', 'medium', 'high', 'critical'];
+
+    function IncidentListViewModel(args) {
+      this.strings = strings.app;
+      // Child router created by viewModels/incidents.js
+      this.router = args.parentRouter;
+      this.online = offline.online;
+
+      // The incidents endpoint does not sort, so neither does the table
+      this.columns = [
+        { headerText: strings.app.fields.title, field: 'title', sortable: 'disabled', template: 'titleCell' },
+        { headerText: strings.app.fields.priority, field: 'priority', sortable: 'disabled', template: 'valueCell' },
+        { headerText: strings.app.fields.status, field: 'status', sortable: 'disabled', template: 'valueCell' },
+        { headerText: strings.app.fields.customerId, field: 'customerId', sortable: 'disabled' },
+        { headerText: strings.app.fields.created, field: 'createdAt', sortable: 'disabled', template: 'dateCell' }
+      ];
+
+      this.dateConverter = new DateTimeConverter.IntlDateTimeConverter({
+        formatType: 'date', dateFormat: 'medium'
+      });
+
+      // Blank is "any"
+      const options = (values) => new ArrayDataProvider([{ value: '', label: strings.app.form.any }].concat(values.map((value) => {
+        return { value: value, label: strings.app.values[value] };
+      })), { keyAttributes: 'value' });
+      this.statusOptions = options(STATUSES);
+      this.priorityOptions = options(PRIORITIES);
+      this.status = ko.observable('');
+      this.priority = ko.observable('');
+
+      this.dataProvider = ko.pureComputed(() => {
+        return new PagingDataProviderView(new RestDataProvider('api/incidents', {
+          params: { status: this.status(), priority: this.priority() }
+        }));
+      });
+
+      // Titles link to incidents/<id>. Plain clicks navigate with the router;
+      // modified clicks (new tab, new window) are left to the browser.
+      this.openIncident = (event, context) => {
+        if (event.button !== 0 || event.ctrlKey || event.metaKey || event.shiftKey || event.altKey) {
+          return;
+        }
+        event.preventDefault();
+        this.router.go({ path: String(context.$current.row.id) });
+      };
+
+      // Below are a set of the ViewModel methods invoked by the oj-module component.
+      // Please reference the oj-module jsDoc for additional information.
+
+      /**
+       * Optional ViewModel method invoked after the View is inserted into the
+       * document DOM.  The application can put logic that requires the DOM being
+       * attached here.
+       * This method might be called multiple times - after the View is created
+       * and inserted into the DOM and after the View is reconnected
+       * after being disconnected.
+       */
+      this.connected = () => {
+        // Implement further logic if needed
+      };
+
+      /**
+       * Optional ViewModel method invoked after the View is disconnected from the DOM.
+       */
+      this.disconnected = () => {
+        // Implement if needed
+      };
+
+      /**
+       * Optional ViewModel method invoked after transition to the new View is complete.
+       * That includes any possible animation between the old and the new View.
+       */
+      this.transitionCompleted = () => {
+        // Implement if needed
+      };
+    }
+
+    /*
+     * Returns an instance of the ViewModel providing one instance of the ViewModel. If needed,
+     * return a constructor for the ViewModel so that the ViewModel is constructed
+     * each time the view is displayed.
+     */
+    return IncidentListViewModel;
+  }
+);
@@ -0,0 +1,86 @@
+/**
+ * @license
+ * Copyright (c) 2014, 2021, Oracle and/or its affiliates.
+ * Licensed under The Universal Permissive License (UPL), Version 1.0
+ * as shown at https://oss.oracle.com/licenses/upl/
+ * @ignore
+ */
+/*
+ * Sign in page. The shell sends users here whenever there is no session and
+ * takes them back to where they were once session.user is set.
+ */
+define(['knockout', 'accUtils', 'session', 'strings', 'ojs/ojcontext',
+  'ojs/ojformlayout', 'ojs/ojinputtext', 'ojs/ojlabel', 'ojs/ojvalidationgroup', 'ojs/ojbutton', 'ojs/ojmessages'],
+ function(ko, accUtils, session, strings, Context) {
+    function LoginViewModel() {
+      this.strings = strings.app;
+      this.email = ko.observable('');
+      this.password = ko.observable('');
+      this.signingIn = ko.observable(false);
+      this.messages = ko.observableArray([]);
+
+      this.signIn = () => {
+        let tracker = document.getElementById('loginTracker');
+        Context.getPageContext().getBusyContext().whenReady().then(() => {
+          if (tracker.valid !== 'valid') {
+            tracker.showMessages();
+            tracker.focusOn('@firstInvalidShown');
+            return undefined;
+          }
+          this.signingIn(true);
+          this.messages([]);
+          return session.signIn(this.email(), this.password()).then(() => {
+            this.password('');
+          }, (error) => {
+            this.password('');
+            this.messages([{
+              severity: 'error',
+              summary: error.status === 401 ? error.message : strings.app.login.failed,
+              detail: error.status === 401 ? '' : error.message
+            }]);
+            accUtils.announce(strings.app.login.failedAnnouncement, 'assertive');
+            document.getElementById('loginPassword').focus();
+          });
+        }).then(() => this.signingIn(false), () => this.signingIn(false));
+      };
+
+      // Enter in either field signs in
+      this.onKeyUp = (event) => {
+        if (event.key === 'Enter') {
+          this.signIn();
+        }
+      };
+
+      // Below are a set of the ViewModel methods invoked by the oj-module component.
+      // Please reference the oj-module jsDoc for additional information.
+
+      /**
+       * Optional ViewModel method invoked after the View is inserted into the
+       * document DOM.  The application can put logic that requires the DOM being
+       * attached here.
+       * This method might be called multiple times - after the View is created
+       * and inserted into the DOM and after the View is reconnected
+       * after being disconnected.
+       */
+      this.connected = () => {
+      };
+
+      /**
+       * Optional ViewModel method invoked after the View is disconnected from the DOM.
+       */
+      this.disconnected = () => {
+        // Implement if needed
+      };
+
+      /**
+       * Optional ViewModel method invoked after transition to the new View is complete.
+       * That includes any possible animation between the old and the new View.
+       */
+      this.transitionCompleted = () => {
+        // Implement if needed
+      };
+    }
+
+    return LoginViewModel;
+  }
+);
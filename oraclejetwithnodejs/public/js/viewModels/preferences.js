@@ -0,0 +1,96 @@
+/**
+ * @license
+ * Copyright (c) 2014, 2021, Oracle and/or its affiliates.
+ * Licensed under The Universal Permissive License (UPL), Version 1.0
+ * as shown at https://oss.oracle.com/licenses/upl/
+ * @ignore
+ */
+/*
+ * Content of the Preferences dialog opened from the user menu. Settings are
+ * saved per user through /api/preferences.
+ *
+ * The language is saved with the preferences too, and the server sends the
+ * page in it (see lib/locales.js), so picking one reloads the page.
+ *
+ * Every saved change is broadcast as a "preferenceschange" event on the
+ * document, with the new preferences as its detail, so pages already on
+ * screen can follow it.
+ */
+define(['knockout', 'accUtils', 'apiClient', 'theme', 'strings', 'ojs/ojarraydataprovider',
+  'ojs/ojbutton', 'ojs/ojmessages', 'ojs/ojradioset', 'ojs/ojselectsingle'],
+ function(ko, accUtils, apiClient, theme, strings, ArrayDataProvider) {
+    function PreferencesViewModel() {
+      this.strings = strings.app;
+      this.preferences = ko.observable({});
+      this.messages = ko.observableArray([]);
+
+      this.customDashboard = ko.pureComputed(() => !!this.preferences().dashboard);
+
+      this.locales = new ArrayDataProvider(strings.LOCALES, { keyAttributes: 'value' });
+      this.locale = strings.current();
+
+      this.themes = theme.THEMES;
+      this.themeName = theme.current;
+
+      this._save = (changes, done) => {
+        this.messages([]);
+        return apiClient.patch('api/preferences', changes).then((preferences) => {
+          this.preferences(preferences);
+          document.dispatchEvent(new CustomEvent('preferenceschange', { detail: preferences }));
+          accUtils.announce(done);
+        }, (error) => {
+          this.messages([{ severity: 'error', summary: strings.app.preferences.notSaved, detail: error.message }]);
+        });
+      };
+
+      // The page reloads in the new language once it is saved
+      this.changeLocale = (event) => {
+        if (event.detail.updatedFrom !== 'internal') {
+          return;
+        }
+        let locale = event.detail.value;
+        this.messages([]);
+        apiClient.patch('api/preferences', { locale: { tag: locale } }).then(() => strings.use(locale), (error) => {
+          event.target.value = event.detail.previousValue;
+          this.messages([{ severity: 'error', summary: strings.app.preferences.notSaved, detail: error.message }]);
+        });
+      };
+
+      // The shell switches to the theme once it is saved
+      this.changeTheme = (event) => {
+        if (event.detail.updatedFrom !== 'internal') {
+          return;
+        }
+        let picked = theme.THEMES.find((option) => option.name === event.detail.value);
+        this._save({ theme: { name: picked.name } }, strings.format(strings.app.preferences.themeChanged, { theme: picked.label })).then(() => {
+          if (this.messages().length) {
+            event.target.value = event.detail.previousValue;
+          }
+        });
+      };
+
+      this.resetDashboard = () => {
+        this._save({ dashboard: null }, strings.app.dashboard.reset);
+      };
+
+      // Below are a set of the ViewModel methods invoked by the oj-module component.
+      // Please reference the oj-module jsDoc for additional information.
+
+      /**
+       * Optional ViewModel method invoked after the View is inserted into the
+       * document DOM.  The application can put logic that requires the DOM being
+       * attached here.
+       * This method might be called multiple times - after the View is created
+       * and inserted into the DOM and after the View is reconnected
+       * after being disconnected.
+       */
+      this.connected = () => {
+        apiClient.get('api/preferences').then(this.preferences, (error) => {
+          this.messages([{ severity: 'error', summary: strings.app.preferences.notLoaded, detail: error.message }]);
+        });
+      };
+    }
+
+    return PreferencesViewModel;
+  }
+);
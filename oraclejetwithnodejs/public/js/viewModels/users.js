@@ -0,0 +1,84 @@
+/**
+ * @license
+ * Copyright (c) 2014, 2021, Oracle and/or its affiliates.
+ * Licensed under The Universal Permissive License (UPL), Version 1.0
+ * as shown at https://oss.oracle.com/licenses/upl/
+ * @ignore
+ */
+/*
+ * Users and their roles, for admins.
+ */
+define(['knockout', 'accUtils', 'apiClient', 'session', 'strings', 'ojs/ojarraydataprovider',
+  'ojs/ojtable', 'ojs/ojselectsingle', 'ojs/ojmessages'],
+ function(ko, accUtils, apiClient, session, strings, ArrayDataProvider) {
+    function UsersViewModel() {
+      this.strings = strings.app;
+      this.format = strings.format;
+      this.users = ko.observableArray([]);
+      this.messages = ko.observableArray([]);
+      this.currentUserId = session.user().id;
+
+      this.dataProvider = new ArrayDataProvider(this.users, { keyAttributes: 'id' });
+      this.roleOptions = new ArrayDataProvider(session.ROLES.map((role) => ({ value: role, label: strings.app.roles[role] })), {
+        keyAttributes: 'value'
+      });
+
+      this.columns = [
+        { headerText: strings.app.fields.name, field: 'name' },
+        { headerText: strings.app.fields.email, field: 'email' },
+        { headerText: strings.app.fields.role, field: 'role', template: 'roleCell' }
+      ];
+
+      // Save a role picked in the table, putting the old one back if that fails
+      this.changeRole = (event) => {
+        if (event.detail.updatedFrom !== 'internal') {
+          return;
+        }
+        let select = event.target;
+        let id = Number(select.dataset.userId);
+        this.messages([]);
+        apiClient.patch('api/users/' + id, { role: event.detail.value }).then((user) => {
+          accUtils.announce(strings.format(strings.app.users.roleChanged, { name: user.name, role: strings.app.roles[user.role] }));
+        }, (error) => {
+          select.value = event.detail.previousValue;
+          this.messages([{ severity: 'error', summary: strings.app.users.roleNotChanged, detail: error.message }]);
+          accUtils.announce(strings.app.users.roleNotChanged, 'assertive');
+        });
+      };
+
+      // Below are a set of the ViewModel methods invoked by the oj-module component.
+      // Please reference the oj-module jsDoc for additional information.
+
+      /**
+       * Optional ViewModel method invoked after the View is inserted into the
+       * document DOM.  The application can put logic that requires the DOM being
+       * attached here.
+       * This method might be called multiple times - after the View is created
+       * and inserted into the DOM and after the View is reconnected
+       * after being disconnected.
+       */
+      this.connected = () => {
+        apiClient.get('api/users').then((result) => this.users(result.items), (error) => {
+          this.messages([{ severity: 'error', summary: strings.app.users.notLoaded, detail: error.message }]);
+        });
+      };
+
+      /**
+       * Optional ViewModel method invoked after the View is disconnected from the DOM.
+       */
+      this.disconnected = () => {
+        // Implement if needed
+      };
+
+      /**
+       * Optional ViewModel method invoked after transition to the new View is complete.
+       * That includes any possible animation between the old and the new View.
+       */
+      this.transitionCompleted = () => {
+        // Implement if needed
+      };
+    }
+
+    return UsersViewModel;
+  }
+);
@@ -0,0 +1,36 @@
+/**
+ * @license
+ * Copyright (c) 2014, 2021, Oracle and/or its affiliates.
+ * Licensed under The Universal Permissive License (UPL), Version 1.0
+ * as shown at https://oss.oracle.com/licenses/upl/
+ * @ignore
+ */
+/*
+ * Dashboard widget charting one of the stats count lists.
+ * params: { counts: 'incidentsByStatus' or 'incidentsByPriority', type: oj-chart type }
+ */
+define(['knockout', 'strings', 'ojs/ojarraydataprovider', 'ojs/ojchart'],
+ function(ko, strings, ArrayDataProvider) {
+    const LABELS = strings.app.values;
+
+    function CountChartWidgetViewModel(args) {
+      let options = args.widget.params;
+
+      this.title = args.widget.title;
+      this.seriesName = strings.app.widgets.incidents;
+      this.type = options.type;
+      // pie charts show one series per value, other types one group per value
+      this.byGroup = options.type !== 'pie';
+
+      this.dataProvider = ko.pureComputed(() => {
+        let stats = args.stats();
+        let counts = stats ? stats[options.counts] : [];
+        return new ArrayDataProvider(counts.map((entry) => {
+          return { id: entry.value, label: LABELS[entry.value] || entry.value, count: entry.count };
+        }), { keyAttributes: 'id' });
+      });
+    }
+
+    return CountChartWidgetViewModel;
+  }
+);
@@ -0,0 +1,40 @@
+/**
+ * @license
+ * Copyright (c) 2014, 2021, Oracle and/or its affiliates.
+ * Licensed under The Universal Permissive License (UPL), Version 1.0
+ * as shown at https://oss.oracle.com/licenses/upl/
+ * @ignore
+ */
+/*
+ * Dashboard widget showing a single number from the stats KPIs.
+ * params: { metric: key in stats.kpis, format: 'number' (default) or 'duration' for hours }
+ */
+define(['knockout', 'strings', 'ojs/ojconverter-number'],
+ function(ko, strings, NumberConverter) {
+    // in the number format of the current locale
+    const numberConverter = new NumberConverter.IntlNumberConverter({ maximumFractionDigits: 1 });
+
+    function formatDuration(hours) {
+      if (hours === null || hours === undefined) {
+        return '-';
+      }
+      return hours < 48 ? strings.format(strings.app.widgets.hours, { value: numberConverter.format(hours) }) :
+        strings.format(strings.app.widgets.days, { value: numberConverter.format(Math.round(hours / 24 * 10) / 10) });
+    }
+
+    function KpiWidgetViewModel(args) {
+      let options = args.widget.params;
+
+      this.value = ko.pureComputed(() => {
+        let stats = args.stats();
+        if (!stats) {
+          return '';
+        }
+        let value = stats.kpis[options.metric];
+        return options.format === 'duration' ? formatDuration(value) : numberConverter.format(value);
+      });
+    }
+
+    return KpiWidgetViewModel;
+  }
+);
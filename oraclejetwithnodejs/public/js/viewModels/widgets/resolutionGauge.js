@@ -0,0 +1,27 @@
+/**
+ * @license
+ * Copyright (c) 2014, 2021, Oracle and/or its affiliates.
+ * Licensed under The Universal Permissive License (UPL), Version 1.0
+ * as shown at https://oss.oracle.com/licenses/upl/
+ * @ignore
+ */
+/*
+ * Dashboard widget showing the share of incidents that are resolved or closed.
+ */
+define(['knockout', 'ojs/ojgauge'],
+ function(ko) {
+    function ResolutionGaugeWidgetViewModel(args) {
+      this.title = args.widget.title;
+
+      this.value = ko.pureComputed(() => {
+        let stats = args.stats();
+        if (!stats || !stats.kpis.totalIncidents) {
+          return 0;
+        }
+        return Math.round(stats.kpis.resolvedIncidents / stats.kpis.totalIncidents * 100);
+      });
+    }
+
+    return ResolutionGaugeWidgetViewModel;
+  }
+);
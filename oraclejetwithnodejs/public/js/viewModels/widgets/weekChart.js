@@ -0,0 +1,34 @@
+/**
+ * @license
+ * Copyright (c) 2014, 2021, Oracle and/or its affiliates.
+ * Licensed under The Universal Permissive License (UPL), Version 1.0
+ * as shown at https://oss.oracle.com/licenses/upl/
+ * @ignore
+ */
+/*
+ * Dashboard widget charting incidents opened and resolved per week.
+ */
+define(['knockout', 'strings', 'ojs/ojarraydataprovider', 'ojs/ojconverter-datetime', 'ojs/ojchart'],
+ function(ko, strings, ArrayDataProvider, DateTimeConverter) {
+    // weeks are labelled with the date of their Monday, e.g. Oct 5
+    const weekConverter = new DateTimeConverter.IntlDateTimeConverter({ month: 'short', day: 'numeric' });
+
+    function WeekChartWidgetViewModel(args) {
+      this.title = args.widget.title;
+
+      // one item per week and series
+      this.dataProvider = ko.pureComputed(() => {
+        let stats = args.stats();
+        let items = [];
+        (stats ? stats.incidentsByWeek : []).forEach((week) => {
+          let label = weekConverter.format(week.week);
+          items.push({ id: week.week + '-opened', week: label, series: strings.app.widgets.opened, count: week.opened });
+          items.push({ id: week.week + '-resolved', week: label, series: strings.app.widgets.resolved, count: week.resolved });
+        });
+        return new ArrayDataProvider(items, { keyAttributes: 'id' });
+      });
+    }
+
+    return WeekChartWidgetViewModel;
+  }
+);
@@ -0,0 +1,24 @@
+/*
+ * Customer widgets for the dashboard, fed by GET /api/stats.
+ */
+define(['widgets/registry', 'strings'],
+  function (registry, strings) {
+    registry.register({
+      id: 'customers-this-month',
+      title: strings.app.widgets.customersThisMonth,
+      module: 'widgets/kpi',
+      params: { metric: 'customersAddedThisMonth' },
+      sizes: ['1x1', '2x1'],
+      order: 30
+    });
+    registry.register({
+      id: 'total-customers',
+      title: strings.app.widgets.totalCustomers,
+      module: 'widgets/kpi',
+      params: { metric: 'totalCustomers' },
+      sizes: ['1x1', '2x1']
+    });
+
+    return {};
+  }
+);
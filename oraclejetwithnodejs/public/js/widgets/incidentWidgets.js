@@ -0,0 +1,63 @@
+/*
+ * Incident widgets for the dashboard, all fed by GET /api/stats.
+ */
+define(['widgets/registry', 'strings'],
+  function (registry, strings) {
+    registry.register({
+      id: 'open-incidents',
+      title: strings.app.widgets.openIncidents,
+      module: 'widgets/kpi',
+      params: { metric: 'openIncidents' },
+      sizes: ['1x1', '2x1'],
+      order: 10
+    });
+    registry.register({
+      id: 'mean-time-to-resolve',
+      title: strings.app.widgets.meanTimeToResolve,
+      module: 'widgets/kpi',
+      params: { metric: 'meanTimeToResolveHours', format: 'duration' },
+      sizes: ['1x1', '2x1'],
+      order: 20
+    });
+    registry.register({
+      id: 'incidents-by-status',
+      title: strings.app.widgets.incidentsByStatus,
+      module: 'widgets/countChart',
+      params: { counts: 'incidentsByStatus', type: 'pie' },
+      sizes: ['2x2', '2x1', '3x2'],
+      order: 40
+    });
+    registry.register({
+      id: 'incidents-by-priority',
+      title: strings.app.widgets.incidentsByPriority,
+      module: 'widgets/countChart',
+      params: { counts: 'incidentsByPriority', type: 'bar' },
+      sizes: ['2x2', '2x1', '3x2'],
+      order: 50
+    });
+    registry.register({
+      id: 'resolution-rate',
+      title: strings.app.widgets.resolutionRate,
+      module: 'widgets/resolutionGauge',
+      sizes: ['2x2', '1x1'],
+      order: 60
+    });
+    registry.register({
+      id: 'incidents-per-week',
+      title: strings.app.widgets.incidentsPerWeek,
+      module: 'widgets/weekChart',
+      sizes: ['3x2', '2x2'],
+      order: 70,
+      flag: 'incidentTrend'
+    });
+    registry.register({
+      id: 'total-incidents',
+      title: strings.app.widgets.totalIncidents,
+      module: 'widgets/kpi',
+      params: { metric: 'totalIncidents' },
+      sizes: ['1x1', '2x1']
+    });
+
+    return {};
+  }
+);
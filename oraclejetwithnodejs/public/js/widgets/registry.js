@@ -0,0 +1,110 @@
+/*
+ * Dashboard widget catalogue.
+ *
+ * Feature modules describe their widgets with register() and the dashboard
+ * builds its catalogue and default layout from whatever is registered, so a
+ * new widget never requires a change to the dashboard itself. Feature modules
+ * are listed in FEATURE_MODULES and loaded on first use by ready().
+ *
+ * A widget behind a feature flag (see flags.js) is left out of the catalogue,
+ * the default layout and saved layouts while the flag is off for the user.
+ */
+define(['require', 'flags'],
+  function (require, flags) {
+    const FEATURE_MODULES = ['widgets/incidentWidgets', 'widgets/customerWidgets'];
+
+    // oj-masonry-layout tile sizes, columns x rows
+    const SIZES = ['1x1', '2x1', '2x2', '3x2'];
+
+    let widgets = [];
+    let loading;
+
+    /**
+     * Add a widget to the catalogue.
+     * @param {Object} widget
+     * @param {string} widget.id unique, stable id; saved in user layouts
+     * @param {string} widget.title shown in the tile header and the catalogue
+     * @param {string} widget.module oj-module name, loads viewModels/<module>.js and views/<module>.html
+     * @param {Object=} widget.params passed to the widget viewModel together with the shared dashboard data
+     * @param {Array.<string>=} widget.sizes sizes the user can choose from, defaults to all SIZES
+     * @param {string=} widget.size initial size, defaults to the first allowed size
+     * @param {number=} widget.order position in the default layout; widgets without one are
+     *   only available from the catalogue
+     * @param {string=} widget.flag feature flag the widget is behind
+     */
+    function register(widget) {
+      if (!widget.id || !widget.module) {
+        throw new Error('A dashboard widget needs an id and a module');
+      }
+      if (get(widget.id)) {
+        throw new Error('Dashboard widget ' + widget.id + ' is already registered');
+      }
+      let sizes = widget.sizes || SIZES;
+      widgets.push(Object.assign({}, widget, { sizes: sizes, size: widget.size || sizes[0] }));
+    }
+
+    function get(id) {
+      return widgets.find((widget) => widget.id === id);
+    }
+
+    /**
+     * The widgets the user may have, in the order they were registered.
+     */
+    function all() {
+      return widgets.filter((widget) => flags.isOn(widget.flag));
+    }
+
+    /**
+     * The layout new users get: every widget with an order, in that order.
+     * @return {Array.<{id: string, size: string}>}
+     */
+    function defaultLayout() {
+      return all().filter((widget) => widget.order !== undefined)
+        .sort((a, b) => a.order - b.order)
+        .map((widget) => ({ id: widget.id, size: widget.size }));
+    }
+
+    /**
+     * Drop entries for widgets that are no longer registered or switched off
+     * and sizes a widget no longer allows from a saved layout.
+     */
+    function sanitize(layout) {
+      return (layout || []).filter((entry) => get(entry.id) && flags.isOn(get(entry.id).flag)).map((entry) => {
+        let widget = get(entry.id);
+        return { id: entry.id, size: widget.sizes.indexOf(entry.size) === -1 ? widget.size : entry.size };
+      });
+    }
+
+    /**
+     * The entries of a saved layout that sanitize() leaves out only because
+     * their widget's flag is off, to be saved with the layout so the widgets
+     * come back when the flag does.
+     */
+    function switchedOff(layout) {
+      return (layout || []).filter((entry) => get(entry.id) && !flags.isOn(get(entry.id).flag));
+    }
+
+    /**
+     * Resolves once every feature module has registered its widgets.
+     */
+    function ready() {
+      if (!loading) {
+        loading = new Promise((resolve, reject) => {
+          require(FEATURE_MODULES, () => resolve(), reject);
+        });
+      }
+      return loading;
+    }
+
+    return {
+      SIZES: SIZES,
+      all: all,
+      defaultLayout: defaultLayout,
+      get: get,
+      ready: ready,
+      register: register,
+      sanitize: sanitize,
+      switchedOff: switchedOff
+    };
+  }
+);
@@ -0,0 +1,11 @@
+var express = require('express');
+var appConfig = require('../lib/appConfig');
+
+var router = express.Router();
+
+/* GET what the shell is built from (see lib/appConfig.js). */
+router.get('/', function(req, res) {
+  res.json(appConfig);
+});
+
+module.exports = router;
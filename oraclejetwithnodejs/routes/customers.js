@@ -0,0 +1,99 @@
+var express = require('express');
+var createError = require('http-errors');
+var store = require('../lib/store');
+var identity = require('../lib/identity');
+var paging = require('../lib/paging');
+var query = require('../lib/query');
+var validate = require('../lib/validate').validate;
+var versions = require('../lib/versions');
+
+var router = express.Router();
+var customers = store.collection('customers');
+var incidents = store.collection('incidents');
+
+// Every signed in user can read; changes need these roles
+var canEdit = identity.requireRole('agent');
+var canDelete = identity.requireRole('admin');
+
+var schema = {
+  name: { required: true, type: 'string', maxLength: 100 },
+  email: {
+    required: true,
+    type: 'string',
+    maxLength: 254,
+    pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+    message: 'email must be a valid email address'
+  },
+  phone: {
+    type: 'string',
+    maxLength: 30,
+    pattern: /^\+?[0-9 ()-]{7,}$/,
+    message: 'phone may only contain digits, spaces, brackets, dashes and a leading +'
+  },
+  company: { type: 'string', maxLength: 100 },
+  city: { type: 'string', maxLength: 100 },
+  country: { type: 'string', maxLength: 100 }
+};
+
+function findCustomer(id) {
+  var customer = customers.get(id);
+  if (!customer) {
+    throw createError(404, 'Customer ' + id + ' not found');
+  }
+  return customer;
+}
+
+var SEARCH_FIELDS = ['name', 'email', 'phone', 'company', 'city', 'country'];
+var SORT_FIELDS = SEARCH_FIELDS.concat(['id', 'createdAt', 'updatedAt']);
+
+/*
+ * GET customers listing, one page at a time.
+ *   q        text to look for in any of SEARCH_FIELDS
+ *   orderBy  e.g. "name:asc,city:desc"
+ *   offset, limit
+ */
+router.get('/', function(req, res) {
+  var list = query.search(customers.list(), req.query.q, SEARCH_FIELDS);
+  list = query.sort(list, req.query.orderBy, SORT_FIELDS);
+  res.json(paging.page(list, req.query));
+});
+
+router.get('/:id', function(req, res) {
+  versions.send(res, findCustomer(req.params.id));
+});
+
+router.post('/', canEdit, function(req, res) {
+  var customer = customers.insert(validate(schema, req.body));
+  res.status(201).location(req.baseUrl + '/' + customer.id).json(customer);
+});
+
+/*
+ * PUT replaces every editable field; PATCH only touches the fields sent.
+ * Either is refused with 409 when based on an outdated version.
+ */
+router.put('/:id', canEdit, function(req, res) {
+  versions.check(req, findCustomer(req.params.id));
+  versions.send(res, customers.update(req.params.id, validate(schema, req.body)));
+});
+
+router.patch('/:id', canEdit, function(req, res) {
+  versions.check(req, findCustomer(req.params.id));
+  versions.send(res, customers.update(req.params.id, validate(schema, req.body, { partial: true })));
+});
+
+/* Customers with incidents assigned to them cannot be deleted. */
+router.delete('/:id', canDelete, function(req, res) {
+  var customer = findCustomer(req.params.id);
+  var assigned = incidents.list(function(incident) {
+    return incident.customerId === customer.id;
+  });
+  if (assigned.length) {
+    throw createError(409, 'Customer ' + customer.id + ' has ' + assigned.length + ' incidents assigned', {
+      code: 'CUSTOMER_IN_USE'
+    });
+  }
+  customers.remove(customer.id);
+  res.status(204).end();
+});
+
+module.exports = router;
@@ -0,0 +1,36 @@
+var express = require('express');
+var flags = require('../lib/flags');
+var identity = require('../lib/identity');
+var validate = require('../lib/validate').validate;
+
+var router = express.Router();
+
+// Both are optional in a PATCH, but neither can be cleared: required rejects
+// a null sent for either
+var schema = {
+  enabled: { required: true, type: 'boolean' },
+  rollout: { required: true, type: 'number', pattern: /^(100|[1-9]?\d)$/, message: 'rollout must be a whole number from 0 to 100' }
+};
+
+/* GET which feature flags are on for the signed in user, by name. */
+router.get('/', function(req, res) {
+  res.json(flags.evaluate(req.user, req.app.get('env')));
+});
+
+/* GET every feature flag with its settings, for admins. */
+router.get('/definitions', identity.requireRole('admin'), function(req, res) {
+  var list = flags.list();
+  res.json({ items: list, count: list.length });
+});
+
+/*
+ * PATCH switches a feature flag on or off, or changes the percentage of users
+ * it is rolled out to. It takes effect for each user the next time their
+ * shell asks for its flags.
+ */
+router.patch('/definitions/:name', identity.requireRole('admin'), function(req, res) {
+  var values = validate(schema, req.body, { partial: true });
+  res.json(flags.update(req.params.name, values));
+});
+
+module.exports = router;
@@ -0,0 +1,165 @@
+var express = require('express');
+var createError = require('http-errors');
+var store = require('../lib/store');
+var identity = require('../lib/identity');
+var paging = require('../lib/paging');
+var validate = require('../lib/validate').validate;
+var versions = require('../lib/versions');
+var workflow = require('../lib/workflow');
+
+var router = express.Router();
+var incidents = store.collection('incidents');
+var history = store.collection('incident-history');
+var customers = store.collection('customers');
+
+// Every signed in user can read; changes need these roles
+var canEdit = identity.requireRole('agent');
+var canDelete = identity.requireRole('admin');
+
+var transitions = workflow.transitions;
+
+var schema = {
+  title: { required: true, type: 'string', maxLength: 200 },
+  description: { type: 'string', maxLength: 4000 },
+  priority: { required: true, oneOf: workflow.PRIORITIES },
+  status: { oneOf: workflow.STATUSES },
+  customerId: { type: 'number' }
+};
+
+function findIncident(id) {
+  var incident = incidents.get(id);
+  if (!incident) {
+    throw createError(404, 'Incident ' + id + ' not found');
+  }
+  return incident;
+}
+
+function checkCustomer(values) {
+  if (values.customerId !== undefined && values.customerId !== null && !customers.get(values.customerId)) {
+    throw createError(400, 'Validation failed', {
+      code: 'VALIDATION_FAILED',
+      errors: [{ field: 'customerId', message: 'customer ' + values.customerId + ' does not exist' }]
+    });
+  }
+}
+
+/**
+ * Reject a status change the workflow does not allow and stamp the
+ * resolution time, which is cleared again when the incident is reopened.
+ */
+
+function applyStatus(incident, values) {
+  if (values.status === undefined || values.status === incident.status) {
+    return;
+  }
+  var allowed = transitions[incident.status];
+  if (allowed.indexOf(values.status) === -1) {
+    throw createError(422, 'Cannot move incident from ' + incident.status + ' to ' + values.status, {
+      code: 'INVALID_TRANSITION',
+      errors: [{ field: 'status', message: 'allowed next statuses: ' + allowed.join(', ') }]
+    });
+  }
+  if (values.status === 'resolved') {
+    values.resolvedAt = new Date().toISOString();
+  } else if (values.status === 'open') {
+    values.resolvedAt = null;
+  }
+}
+
+function recordChanges(incident, values, note) {
+  var changes = Object.keys(values).filter(function(field) {
+    return field !== 'resolvedAt' && values[field] !== incident[field];
+  }).map(function(field) {
+    return { field: field, from: incident[field], to: values[field] };
+  });
+
+  if (changes.length || note) {
+    history.insert({ incidentId: incident.id, action: 'updated', changes: changes, note: note });
+  }
+}
+
+/**
+ * Shared PUT/PATCH handler: checks the change is based on the current
+ * version, validates, runs the workflow check, logs the change set and saves.
+ */
+
+function updateIncident(req, res, partial) {
+  var incident = findIncident(req.params.id);
+  versions.check(req, incident, present(incident));
+  var values = validate(schema, req.body, { partial: partial });
+
+  // a PUT without a status keeps the current one
+  if (values.status === undefined) {
+    delete values.status;
+  }
+  checkCustomer(values);
+  applyStatus(incident, values);
+  recordChanges(incident, values, req.body.note);
+  incident = incidents.update(incident.id, values);
+  versions.send(res, incident, present(incident));
+}
+
+/**
+ * The API representation of an incident, including the statuses it can move
+ * to next so clients do not duplicate the workflow.
+ */
+
+function present(incident) {
+  return Object.assign({}, incident, { allowedTransitions: transitions[incident.status] });
+}
+
+/* GET incidents listing, filterable by status, priority and customer. */
+router.get('/', function(req, res) {
+  var query = req.query;
+  var list = incidents.list(function(incident) {
+    return (!query.status || incident.status === query.status) &&
+      (!query.priority || incident.priority === query.priority) &&
+      (!query.customerId || incident.customerId === Number(query.customerId));
+  });
+  res.json(paging.page(list, query));
+});
+
+router.get('/:id', function(req, res) {
+  var incident = findIncident(req.params.id);
+  versions.send(res, incident, present(incident));
+});
+
+router.get('/:id/history', function(req, res) {
+  var incident = findIncident(req.params.id);
+  var entries = history.list(function(entry) {
+    return entry.incidentId === incident.id;
+  });
+  res.json({ items: entries, count: entries.length });
+});
+
+/* New incidents always start in the open state. */
+router.post('/', canEdit, function(req, res) {
+  var values = validate(schema, req.body);
+  checkCustomer(values);
+  values.status = 'open';
+
+  var incident = incidents.insert(values);
+  history.insert({ incidentId: incident.id, action: 'created', changes: [], note: req.body.note });
+  res.status(201).location(req.baseUrl + '/' + incident.id).json(present(incident));
+});
+
+router.put('/:id', canEdit, function(req, res) {
+  updateIncident(req, res, false);
+});
+
+router.patch('/:id', canEdit, function(req, res) {
+  updateIncident(req, res, true);
+});
+
+router.delete('/:id', canDelete, function(req, res) {
+  var incident = findIncident(req.params.id);
+  incidents.remove(incident.id);
+  history.list(function(entry) {
+    return entry.incidentId === incident.id;
+  }).forEach(function(entry) {
+    history.remove(entry.id);
+  });
+  res.status(204).end();
+});
+
+module.exports = router;
@@ -9,9 +9,52 @@ router.get('/', function(req, res, next) {
 module.exports = router;
 */
 var express = require('express'); 
+var fs = require('fs');
+var path = require('path');
+var identity = require('../lib/identity');
+var locales = require('../lib/locales');
 var router = express.Router(); 
-router.get('/', function (req, res, next) {     
-	//res.sendFile('index.html', {root: './views/'});     
-	res.sendFile('index.html', {root: './public/'}); 
+
+var INDEX = path.join(__dirname, '..', 'public', 'index.html');
+
+/*
+ * index.html in `locale`: the html element gets its lang and dir, and
+ * require.js is configured before it loads to bring in JET's and the
+ * application's strings in that locale, so the page starts in it without a
+ * reload. `locale` is always one of locales.LOCALES.
+ */
+function localize(html, locale) {
+	var config = { config: { ojL10n: { locale: locale } } };
+	return html
+		.replace(/<html[^>]*>/, '<html lang="' + locale + '" dir="' + locales.direction(locale) + '">')
+		.replace('</head>', '  <script type="text/javascript">var require = ' + JSON.stringify(config) + ';</script>\n  </head>');
+}
+
+/*
+ * The shell uses path based routing (/incidents, /customers/42), so every GET
+ * for a page that is not an API call and not a static file gets index.html
+ * and the client side router takes it from there. Anything with a file
+ * extension that express.static did not find is left to 404.
+ *
+ * The page is served in the locale picked for the request (lib/locales.js),
+ * the signed in user's own when there is one, so it varies with the headers
+ * that locale comes from.
+ */
+function isPage(req, res, next) {
+	if (req.path.indexOf('/api/') === 0 || path.extname(req.path) || !req.accepts('html')) {
+		return next('route');
+	}
+	next();
+}
+
+router.get('*', isPage, identity.currentUser, function (req, res, next) {     
+	fs.readFile(INDEX, 'utf8', function (err, html) {
+		if (err) {
+			return next(err);
+		}
+		res.vary('Accept-Language');
+		res.vary('Cookie');
+		res.type('html').send(localize(html, locales.negotiate(req)));
+	});
 }); 
 module.exports = router;
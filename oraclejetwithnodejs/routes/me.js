@@ -0,0 +1,11 @@
+var express = require('express');
+var identity = require('../lib/identity');
+
+var router = express.Router();
+
+/* GET the signed in user. */
+router.get('/', function(req, res) {
+  res.json(identity.publicUser(req.user));
+});
+
+module.exports = router;
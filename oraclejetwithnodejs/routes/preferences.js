@@ -0,0 +1,82 @@
+var express = require('express');
+var createError = require('http-errors');
+var store = require('../lib/store');
+var locales = require('../lib/locales');
+
+var router = express.Router();
+var preferences = store.collection('preferences');
+
+/*
+ * Preference keys clients may store, each holding a JSON object. The page is
+ * served in the locale one, { tag }, so its tag must be one of
+ * locales.LOCALES.
+ */
+var KEYS = ['dashboard', 'theme', 'locale'];
+var MAX_SIZE = 16 * 1024;
+
+function findRecord(userId) {
+  return preferences.list(function(record) {
+    return record.userId === userId;
+  })[0];
+}
+
+function validKey(key) {
+  if (KEYS.indexOf(key) === -1) {
+    throw createError(400, 'Unknown preference ' + key, {
+      code: 'VALIDATION_FAILED',
+      errors: [{ field: key, message: 'allowed preferences: ' + KEYS.join(', ') }]
+    });
+  }
+}
+
+/* GET the current user's preferences, {} when nothing was saved yet. */
+router.get('/', function(req, res) {
+  var record = findRecord(req.userId);
+  res.json(record ? record.values : {});
+});
+
+/*
+ * PATCH merges the keys sent into the stored preferences. A null value
+ * removes that key, which puts it back to the application default.
+ */
+router.patch('/', function(req, res) {
+  var body = req.body;
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw createError(400, 'Preferences must be a JSON object');
+  }
+  Object.keys(body).forEach(function(key) {
+    validKey(key);
+    if (body[key] !== null && (typeof body[key] !== 'object' || Array.isArray(body[key]))) {
+      throw createError(400, 'Validation failed', {
+        code: 'VALIDATION_FAILED',
+        errors: [{ field: key, message: key + ' must be an object or null' }]
+      });
+    }
+  });
+  if (body.locale && locales.LOCALES.indexOf(body.locale.tag) === -1) {
+    throw createError(400, 'Validation failed', {
+      code: 'VALIDATION_FAILED',
+      errors: [{ field: 'locale', message: 'locale.tag must be one of ' + locales.LOCALES.join(', ') }]
+    });
+  }
+
+  var record = findRecord(req.userId);
+  var values = Object.assign({}, record ? record.values : {}, body);
+  Object.keys(values).forEach(function(key) {
+    if (values[key] === null) {
+      delete values[key];
+    }
+  });
+  if (JSON.stringify(values).length > MAX_SIZE) {
+    throw createError(413, 'Preferences may not exceed ' + MAX_SIZE + ' bytes');
+  }
+
+  if (record) {
+    preferences.update(record.id, { values: values });
+  } else {
+    preferences.insert({ userId: req.userId, values: values });
+  }
+  res.json(values);
+});
+
+module.exports = router;
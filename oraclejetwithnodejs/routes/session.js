@@ -0,0 +1,47 @@
+var express = require('express');
+var createError = require('http-errors');
+var identity = require('../lib/identity');
+var passwords = require('../lib/passwords');
+
+var router = express.Router();
+
+// Checked when the email is unknown, so that case takes as long as a wrong password
+var UNKNOWN_USER_HASH = ['scrypt', '0'.repeat(32), '0'.repeat(128)].join('$');
+
+/*
+ * POST signs in with { email, password } and answers with the user. A wrong
+ * email and a wrong password get the same 401.
+ */
+router.post('/', function(req, res, next) {
+  var body = req.body || {};
+  var errors = [];
+  if (typeof body.email !== 'string' || !body.email.trim()) {
+    errors.push({ field: 'email', message: 'email is required' });
+  }
+  if (typeof body.password !== 'string' || !body.password) {
+    errors.push({ field: 'password', message: 'password is required' });
+  }
+  if (errors.length) {
+    throw createError(400, 'Validation failed', { code: 'VALIDATION_FAILED', errors: errors });
+  }
+
+  var user = identity.findUser(body.email.trim());
+  passwords.verify(body.password, user ? user.passwordHash : UNKNOWN_USER_HASH, function(err, match) {
+    if (err) {
+      return next(err);
+    }
+    if (!user || !match) {
+      return next(createError(401, 'Incorrect email or password', { code: 'INVALID_CREDENTIALS' }));
+    }
+    identity.signIn(req, res, user);
+    res.json(identity.publicUser(user));
+  });
+});
+
+/* DELETE ends the current session; the client then shows its sign in page. */
+router.delete('/', function(req, res) {
+  identity.signOut(req, res);
+  res.status(204).end();
+});
+
+module.exports = router;
@@ -0,0 +1,108 @@
+var express = require('express');
+var store = require('../lib/store');
+var workflow = require('../lib/workflow');
+
+var router = express.Router();
+var incidents = store.collection('incidents');
+var customers = store.collection('customers');
+
+var HOUR = 60 * 60 * 1000;
+var WEEK = 7 * 24 * HOUR;
+var WEEKS = 12;
+
+/**
+ * Monday 00:00 UTC of the week `date` falls in.
+ */
+
+function startOfWeek(date) {
+  var day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  day.setUTCDate(day.getUTCDate() - (day.getUTCDay() + 6) % 7);
+  return day;
+}
+
+function countBy(records, field, values) {
+  return values.map(function(value) {
+    var count = records.filter(function(record) {
+      return record[field] === value;
+    }).length;
+    return { value: value, count: count };
+  });
+}
+
+/**
+ * Incidents opened and resolved in each of the last WEEKS weeks, oldest
+ * first. Weeks are labelled with their Monday (YYYY-MM-DD).
+ */
+
+function byWeek(list, now) {
+  var first = startOfWeek(now).getTime() - (WEEKS - 1) * WEEK;
+  var weeks = [];
+  for (var i = 0; i < WEEKS; i++) {
+    weeks.push({ week: new Date(first + i * WEEK).toISOString().slice(0, 10), opened: 0, resolved: 0 });
+  }
+
+  function bucket(timestamp) {
+    var index = Math.floor((new Date(timestamp).getTime() - first) / WEEK);
+    return index >= 0 && index < WEEKS ? weeks[index] : null;
+  }
+
+  list.forEach(function(incident) {
+    var opened = bucket(incident.createdAt);
+    var resolved = incident.resolvedAt ? bucket(incident.resolvedAt) : null;
+    if (opened) {
+      opened.opened++;
+    }
+    if (resolved) {
+      resolved.resolved++;
+    }
+  });
+  return weeks;
+}
+
+/**
+ * Mean hours from creation to resolution over every incident that has been
+ * resolved, or null when none has.
+ */
+
+function meanTimeToResolve(list) {
+  var resolved = list.filter(function(incident) {
+    return incident.resolvedAt;
+  });
+  if (!resolved.length) {
+    return null;
+  }
+  var total = resolved.reduce(function(sum, incident) {
+    return sum + (new Date(incident.resolvedAt) - new Date(incident.createdAt));
+  }, 0);
+  return Math.round(total / resolved.length / HOUR * 10) / 10;
+}
+
+/* GET dashboard aggregates, computed from the incidents and customers stores. */
+router.get('/', function(req, res) {
+  var now = new Date();
+  var monthStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  var allIncidents = incidents.list();
+  var allCustomers = customers.list();
+  var done = allIncidents.filter(function(incident) {
+    return !workflow.isActive(incident.status);
+  });
+
+  res.json({
+    generatedAt: now.toISOString(),
+    kpis: {
+      openIncidents: allIncidents.length - done.length,
+      meanTimeToResolveHours: meanTimeToResolve(allIncidents),
+      customersAddedThisMonth: allCustomers.filter(function(customer) {
+        return new Date(customer.createdAt) >= monthStart;
+      }).length,
+      totalIncidents: allIncidents.length,
+      resolvedIncidents: done.length,
+      totalCustomers: allCustomers.length
+    },
+    incidentsByStatus: countBy(allIncidents, 'status', workflow.STATUSES),
+    incidentsByPriority: countBy(allIncidents, 'priority', workflow.PRIORITIES),
+    incidentsByWeek: byWeek(allIncidents, now)
+  });
+});
+
+module.exports = router;
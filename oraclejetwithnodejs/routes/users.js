@@ -0,0 +1,41 @@
+var express = require('express');
+var createError = require('http-errors');
+var store = require('../lib/store');
+var identity = require('../lib/identity');
+var validate = require('../lib/validate').validate;
+
+var router = express.Router();
+var users = store.collection('users');
+
+var schema = {
+  role: { required: true, type: 'string', oneOf: identity.ROLES }
+};
+
+function findUser(id) {
+  var user = users.get(id);
+  if (!user) {
+    throw createError(404, 'User ' + id + ' not found');
+  }
+  return user;
+}
+
+/* GET users listing, without their password hashes. */
+router.get('/', function(req, res) {
+  var list = users.list().map(identity.publicUser);
+  res.json({ items: list, count: list.length });
+});
+
+/*
+ * PATCH changes a user's role. Admins may not change their own role, so the
+ * application cannot be left without an admin.
+ */
+router.patch('/:id', function(req, res) {
+  var user = findUser(req.params.id);
+  var values = validate(schema, req.body);
+  if (user.id === req.user.id && values.role !== user.role) {
+    throw createError(409, 'You cannot change your own role', { code: 'OWN_ROLE' });
+  }
+  res.json(identity.publicUser(users.update(user.id, values)));
+});
+
+module.exports = router;
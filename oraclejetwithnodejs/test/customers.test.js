@@ -0,0 +1,131 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers');
+
+var signIn = helpers.signIn;
+
+test('customers are listed a page at a time', function() {
+  return signIn('viewer').then(function(viewer) {
+    return viewer.get('/api/customers?offset=10&limit=5').expect(200);
+  }).then(function(res) {
+    assert.strictEqual(res.body.offset, 10);
+    assert.strictEqual(res.body.limit, 5);
+    assert.strictEqual(res.body.count, 5);
+    assert.strictEqual(res.body.items.length, 5);
+    assert.ok(res.body.totalResults > 15);
+    assert.strictEqual(res.body.hasMore, true);
+  });
+});
+
+test('the last page has no more after it', function() {
+  return signIn('viewer').then(function(viewer) {
+    return viewer.get('/api/customers?limit=500').expect(200);
+  }).then(function(res) {
+    assert.strictEqual(res.body.count, res.body.totalResults);
+    assert.strictEqual(res.body.hasMore, false);
+  });
+});
+
+test('q searches the customers and orderBy sorts them', function() {
+  return signIn('viewer').then(function(viewer) {
+    return viewer.get('/api/customers?q=LITWARE&orderBy=name:desc').expect(200);
+  }).then(function(res) {
+    var names = res.body.items.map(function(customer) {
+      return customer.name;
+    });
+    assert.ok(names.length > 0);
+    res.body.items.forEach(function(customer) {
+      assert.match(JSON.stringify(customer), /litware/i);
+    });
+    assert.deepStrictEqual(names, names.slice().sort().reverse());
+    assert.strictEqual(res.body.totalResults, names.length);
+  });
+});
+
+test('a repeated q searches for its first value', function() {
+  return signIn('viewer').then(function(viewer) {
+    return viewer.get('/api/customers?q=litware&q=nothing-matches-this').expect(200);
+  }).then(function(res) {
+    assert.ok(res.body.totalResults > 0);
+  });
+});
+
+test('viewers cannot add customers, agents can', function() {
+  var customer = { name: 'Test Customer', email: 'test.customer@example.com' };
+  return signIn('viewer').then(function(viewer) {
+    return viewer.post('/api/customers').send(customer).expect(403);
+  }).then(function() {
+    return signIn('agent');
+  }).then(function(agent) {
+    return agent.post('/api/customers').send(customer).expect(201);
+  }).then(function(res) {
+    assert.strictEqual(res.body.name, 'Test Customer');
+    assert.strictEqual(res.body.version, 1);
+  });
+});
+
+test('an invalid customer is refused with the fields at fault', function() {
+  return signIn('agent').then(function(agent) {
+    return agent.post('/api/customers').send({ name: '', email: 'not an email' }).expect(400);
+  }).then(function(res) {
+    assert.strictEqual(res.body.code, 'VALIDATION_FAILED');
+    var fields = res.body.errors.map(function(error) {
+      return error.field;
+    }).sort();
+    assert.deepStrictEqual(fields, ['email', 'name']);
+  });
+});
+
+test('a change based on an old version is refused with the current record', function() {
+  var agent;
+  var etag;
+  return signIn('agent').then(function(signedIn) {
+    agent = signedIn;
+    return agent.get('/api/customers/2').expect(200);
+  }).then(function(res) {
+    etag = res.headers.etag;
+    assert.strictEqual(etag, '"' + res.body.version + '"');
+    return agent.patch('/api/customers/2').set('If-Match', etag).send({ city: 'Lisbon' }).expect(200);
+  }).then(function(res) {
+    assert.notStrictEqual(res.headers.etag, etag);
+    return agent.patch('/api/customers/2').set('If-Match', etag).send({ city: 'Porto' }).expect(409);
+  }).then(function(res) {
+    assert.strictEqual(res.body.code, 'VERSION_CONFLICT');
+    assert.strictEqual(res.body.current.city, 'Lisbon');
+  });
+});
+
+test('an If-Match that is not a version is refused', function() {
+  return signIn('agent').then(function(agent) {
+    return agent.patch('/api/customers/2').set('If-Match', '"abc"').send({ city: 'Porto' }).expect(400);
+  }).then(function(res) {
+    assert.strictEqual(res.body.code, 'VALIDATION_FAILED');
+  });
+});
+
+test('a change to the values already stored keeps the version', function() {
+  var agent;
+  var customer;
+  return signIn('agent').then(function(signedIn) {
+    agent = signedIn;
+    return agent.get('/api/customers/3').expect(200);
+  }).then(function(res) {
+    customer = res.body;
+    return agent.patch('/api/customers/3').send({ name: customer.name, city: customer.city }).expect(200);
+  }).then(function(res) {
+    assert.strictEqual(res.body.version, customer.version);
+    assert.strictEqual(res.body.updatedAt, customer.updatedAt);
+  });
+});
+
+test('only admins delete customers, and not while they have incidents', function() {
+  return signIn('agent').then(function(agent) {
+    return agent.delete('/api/customers/13').expect(403);
+  }).then(function() {
+    return signIn('admin');
+  }).then(function(admin) {
+    return admin.delete('/api/customers/13').expect(409);
+  }).then(function(res) {
+    assert.strictEqual(res.body.code, 'CUSTOMER_IN_USE');
+  });
+});
@@ -0,0 +1,63 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers');
+
+var signIn = helpers.signIn;
+
+test('flags limited to a role are only on for that role', function() {
+  return signIn('viewer').then(function(viewer) {
+    return viewer.get('/api/flags').expect(200);
+  }).then(function(res) {
+    assert.strictEqual(res.body.userAdministration, false);
+    assert.strictEqual(res.body.dashboardCustomization, true);
+    return signIn('admin');
+  }).then(function(admin) {
+    return admin.get('/api/flags').expect(200);
+  }).then(function(res) {
+    assert.strictEqual(res.body.userAdministration, true);
+  });
+});
+
+test('only admins see and change the flag settings', function() {
+  return signIn('agent').then(function(agent) {
+    return agent.get('/api/flags/definitions').expect(403).then(function() {
+      return agent.patch('/api/flags/definitions/incidentTrend').send({ rollout: 50 }).expect(403);
+    });
+  });
+});
+
+test('a flag change is checked', function() {
+  var admin;
+  return signIn('admin').then(function(signedIn) {
+    admin = signedIn;
+    return admin.patch('/api/flags/definitions/incidentTrend').send({ enabled: null }).expect(400);
+  }).then(function(res) {
+    assert.strictEqual(res.body.code, 'VALIDATION_FAILED');
+    return admin.patch('/api/flags/definitions/incidentTrend').send({ rollout: null }).expect(400);
+  }).then(function() {
+    return admin.patch('/api/flags/definitions/incidentTrend').send({ rollout: 101 }).expect(400);
+  }).then(function() {
+    return admin.patch('/api/flags/definitions/noSuchFlag').send({ enabled: true }).expect(404);
+  }).then(function() {
+    return admin.patch('/api/flags/definitions/incidentTrend').send({ rollout: 0 }).expect(200);
+  }).then(function(res) {
+    assert.strictEqual(res.body.rollout, 0);
+    assert.strictEqual(res.body.enabled, true);
+    assert.ok(res.body.changedAt);
+    return admin.get('/api/flags').expect(200);
+  }).then(function(res) {
+    assert.strictEqual(res.body.incidentTrend, false);
+  });
+});
+
+test('switching a flag off hides the API behind it', function() {
+  var admin;
+  return signIn('admin').then(function(signedIn) {
+    admin = signedIn;
+    return admin.get('/api/users').expect(200);
+  }).then(function() {
+    return admin.patch('/api/flags/definitions/userAdministration').send({ enabled: false }).expect(200);
+  }).then(function() {
+    return admin.get('/api/users').expect(404);
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * Shared setup for the API tests. Each test file runs in a process of its
+ * own, with DATA_DIR pointing at an empty temporary directory, so the
+ * collections start from data/seed and nothing is written to data/. The
+ * directory is removed when the file has run.
+ */
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+var dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'oraclejetwithnodejs-'));
+process.env.DATA_DIR = dataDir;
+process.env.NODE_ENV = process.env.NODE_ENV || 'test';
+process.on('exit', function() {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+var request = require('supertest');
+var app = require('../app');
+
+// the seed users, one for each role; they all have this password
+var USERS = {
+  viewer: 'val.viewer@example.com',
+  agent: 'alex.agent@example.com',
+  admin: 'ada.admin@example.com'
+};
+var PASSWORD = 'welcome1';
+
+/**
+ * Resolve with a supertest agent signed in as the seed user with `role`,
+ * which sends its session cookie with every request.
+ */
+
+function signIn(role) {
+  var agent = request.agent(app);
+  return agent.post('/api/session')
+    .send({ email: USERS[role], password: PASSWORD })
+    .expect(200)
+    .then(function() {
+      return agent;
+    });
+}
+
+module.exports = {
+  app: app,
+  request: request,
+  signIn: signIn,
+  USERS: USERS,
+  PASSWORD: PASSWORD
+};
@@ -0,0 +1,102 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers');
+
+var signIn = helpers.signIn;
+
+function createIncident(agent) {
+  return agent.post('/api/incidents')
+    .send({ title: 'Printer on fire', priority: 'high', status: 'closed', customerId: 1 })
+    .expect(201)
+    .then(function(res) {
+      return res.body;
+    });
+}
+
+test('new incidents start open, whatever status is sent', function() {
+  return signIn('agent').then(createIncident).then(function(incident) {
+    assert.strictEqual(incident.status, 'open');
+    assert.deepStrictEqual(incident.allowedTransitions, ['in-progress']);
+  });
+});
+
+test('an incident moves through the workflow and keeps its history', function() {
+  var agent;
+  var id;
+  return signIn('agent').then(function(signedIn) {
+    agent = signedIn;
+    return createIncident(agent);
+  }).then(function(incident) {
+    id = incident.id;
+    return agent.patch('/api/incidents/' + id).send({ status: 'closed' }).expect(422);
+  }).then(function(res) {
+    assert.strictEqual(res.body.code, 'INVALID_TRANSITION');
+    return agent.patch('/api/incidents/' + id).send({ status: 'in-progress' }).expect(200);
+  }).then(function() {
+    return agent.patch('/api/incidents/' + id).send({ status: 'resolved' }).expect(200);
+  }).then(function(res) {
+    assert.ok(res.body.resolvedAt);
+    assert.deepStrictEqual(res.body.allowedTransitions.sort(), ['closed', 'open']);
+    return agent.patch('/api/incidents/' + id).send({ status: 'open' }).expect(200);
+  }).then(function(res) {
+    assert.strictEqual(res.body.resolvedAt, null);
+    return agent.get('/api/incidents/' + id + '/history').expect(200);
+  }).then(function(res) {
+    var statuses = res.body.items.filter(function(entry) {
+      return entry.action === 'updated';
+    }).map(function(entry) {
+      return entry.changes[0].from + ' > ' + entry.changes[0].to;
+    });
+    assert.strictEqual(res.body.items[0].action, 'created');
+    assert.deepStrictEqual(statuses, ['open > in-progress', 'in-progress > resolved', 'resolved > open']);
+  });
+});
+
+test('a change without a status leaves the one someone else set', function() {
+  var agent;
+  var admin;
+  var incident;
+  return signIn('agent').then(function(signedIn) {
+    agent = signedIn;
+    return signIn('admin');
+  }).then(function(signedIn) {
+    admin = signedIn;
+    return createIncident(agent);
+  }).then(function(created) {
+    incident = created;
+    return admin.patch('/api/incidents/' + incident.id).send({ status: 'in-progress' }).expect(200);
+  }).then(function(res) {
+    return agent.patch('/api/incidents/' + incident.id)
+      .send({ version: res.body.version, title: 'Printer still on fire' })
+      .expect(200);
+  }).then(function(res) {
+    assert.strictEqual(res.body.title, 'Printer still on fire');
+    assert.strictEqual(res.body.status, 'in-progress');
+  });
+});
+
+test('viewers cannot change incidents', function() {
+  return signIn('viewer').then(function(viewer) {
+    return viewer.patch('/api/incidents/1').send({ title: 'Changed' }).expect(403);
+  }).then(function(res) {
+    assert.strictEqual(res.body.code, 'FORBIDDEN');
+  });
+});
+
+test('the dashboard figures count every incident', function() {
+  var viewer;
+  var active;
+  return signIn('viewer').then(function(signedIn) {
+    viewer = signedIn;
+    return viewer.get('/api/incidents?limit=500').expect(200);
+  }).then(function(res) {
+    active = res.body.items.filter(function(incident) {
+      return incident.status === 'open' || incident.status === 'in-progress';
+    }).length;
+    return viewer.get('/api/stats').expect(200).then(function(stats) {
+      assert.strictEqual(stats.body.kpis.totalIncidents, res.body.totalResults);
+      assert.strictEqual(stats.body.kpis.openIncidents, active);
+      assert.strictEqual(stats.body.kpis.resolvedIncidents, res.body.totalResults - active);
+    });
+  });
+});
@@ -0,0 +1,55 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers');
+
+var signIn = helpers.signIn;
+
+test('preferences are empty until saved, and kept per user', function() {
+  var agent;
+  var dashboard = { widgets: [{ id: 'openIncidents', size: 'small' }] };
+  return signIn('agent').then(function(signedIn) {
+    agent = signedIn;
+    return agent.get('/api/preferences').expect(200);
+  }).then(function(res) {
+    assert.deepStrictEqual(res.body, {});
+    return agent.patch('/api/preferences').send({ dashboard: dashboard }).expect(200);
+  }).then(function() {
+    return agent.patch('/api/preferences').send({ theme: { name: 'redwood' } }).expect(200);
+  }).then(function() {
+    return agent.get('/api/preferences').expect(200);
+  }).then(function(res) {
+    assert.deepStrictEqual(res.body, { dashboard: dashboard, theme: { name: 'redwood' } });
+    return agent.patch('/api/preferences').send({ dashboard: null }).expect(200);
+  }).then(function(res) {
+    assert.deepStrictEqual(res.body, { theme: { name: 'redwood' } });
+    return signIn('viewer');
+  }).then(function(viewer) {
+    return viewer.get('/api/preferences').expect(200);
+  }).then(function(res) {
+    assert.deepStrictEqual(res.body, {});
+  });
+});
+
+test('unknown preferences and locales are refused', function() {
+  var agent;
+  return signIn('agent').then(function(signedIn) {
+    agent = signedIn;
+    return agent.patch('/api/preferences').send({ colour: {} }).expect(400);
+  }).then(function(res) {
+    assert.strictEqual(res.body.code, 'VALIDATION_FAILED');
+    return agent.patch('/api/preferences').send({ locale: { tag: 'xx-XX' } }).expect(400);
+  }).then(function(res) {
+    assert.strictEqual(res.body.errors[0].field, 'locale');
+    return agent.patch('/api/preferences').send({ theme: 'redwood' }).expect(400);
+  });
+});
+
+test('the page is served in the saved locale', function() {
+  return signIn('admin').then(function(admin) {
+    return admin.patch('/api/preferences').send({ locale: { tag: 'ar-SA' } }).expect(200).then(function() {
+      return admin.get('/').set('Accept-Language', 'de-DE').expect(200);
+    });
+  }).then(function(res) {
+    assert.match(res.text, /<html lang="ar-SA" dir="rtl">/);
+  });
+});
@@ -0,0 +1,42 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers');
+
+var request = helpers.request;
+var app = helpers.app;
+
+test('the API needs a signed in user', function() {
+  return request(app).get('/api/customers')
+    .expect(401)
+    .then(function(res) {
+      assert.strictEqual(res.body.code, 'UNAUTHENTICATED');
+    });
+});
+
+test('the shell configuration is public', function() {
+  return request(app).get('/api/config').expect(200);
+});
+
+test('a wrong password is refused', function() {
+  return request(app).post('/api/session')
+    .send({ email: helpers.USERS.agent, password: 'wrong' })
+    .expect(401)
+    .then(function(res) {
+      assert.strictEqual(res.body.code, 'INVALID_CREDENTIALS');
+    });
+});
+
+test('/api/me is the signed in user, until they sign out', function() {
+  var agent;
+  return helpers.signIn('agent').then(function(signedIn) {
+    agent = signedIn;
+    return agent.get('/api/me').expect(200);
+  }).then(function(res) {
+    assert.strictEqual(res.body.email, helpers.USERS.agent);
+    assert.strictEqual(res.body.role, 'agent');
+    assert.strictEqual(res.body.password, undefined);
+    return agent.delete('/api/session');
+  }).then(function() {
+    return agent.get('/api/me').expect(401);
+  });
+});
@@ -0,0 +1,92 @@
+/**
+  Copyright (c) 2015, 2021, Oracle and/or its affiliates.
+  Licensed under The Universal Permissive License (UPL), Version 1.0
+  as shown at https://oss.oracle.com/licenses/upl/
+
+*/
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/*
+ * Writes the service worker of a staged JET application, for the
+ * after_build hooks of myFirstApp and myOjetTypescript: sw.js next to this
+ * file, filled in with the application name from package.json, the build
+ * version, the staged files that make up the shell, and the staged
+ * directories whose paths carry a version.
+ *
+ * The build version is the version in package.json followed by a hash of
+ * every staged file, so each build that changes anything gets a cache of its
+ * own and the worker deletes the caches of earlier builds, libraries
+ * included.
+ *
+ * The shell is every staged file outside the library directories, plus the
+ * library files index.html loads itself (require.js and the theme). Other
+ * library files are cached by the worker the first time they are loaded.
+ */
+
+const TEMPLATE = path.join(__dirname, 'sw.js');
+const LIBRARY_DIRS = ['js/libs/', 'css/libs/'];
+// the theme is staged as css/<theme>/<version>/
+const THEME_DIR = /^css\/[^/]+\/\d+\.\d+\.\d+[^/]*\/$/;
+// not needed, or not wanted, in the browser's cache
+const EXCLUDED = [/^sw\.js$/, /\.map$/, /^ts\//, /\.d\.ts$/];
+
+function listFiles(dir, prefix) {
+  return fs.readdirSync(path.join(dir, prefix), { withFileTypes: true }).reduce((files, entry) => {
+    const file = prefix + entry.name;
+    return files.concat(entry.isDirectory() ? listFiles(dir, file + '/') : [file]);
+  }, []);
+}
+
+function libraryDirs(files) {
+  const themes = files.map(file => file.split('/').slice(0, 3).join('/') + '/')
+    .filter((dir, index, dirs) => THEME_DIR.test(dir) && dirs.indexOf(dir) === index);
+  return LIBRARY_DIRS.concat(themes);
+}
+
+// local scripts and stylesheets index.html loads
+function indexAssets(stagingPath) {
+  const html = fs.readFileSync(path.join(stagingPath, 'index.html'), 'utf8');
+  const assets = [];
+  const pattern = /<(?:script|link)\b[^>]*?\b(?:src|href)="([^"]+)"/g;
+  let match;
+  while ((match = pattern.exec(html)) !== null) {
+    if (!/^([a-z]+:)?\/\//i.test(match[1])) {
+      assets.push(match[1].replace(/^\.?\//, ''));
+    }
+  }
+  return assets;
+}
+
+// the names and contents of the staged files, other than the worker itself
+function hashFiles(stagingPath, files) {
+  const hash = crypto.createHash('sha256');
+  files.filter(name => name !== 'sw.js').sort().forEach((name) => {
+    hash.update(name + '\0').update(fs.readFileSync(path.join(stagingPath, name))).update('\0');
+  });
+  return hash.digest('hex').slice(0, 12);
+}
+
+module.exports = function writeServiceWorker(stagingPath) {
+  const pkg = JSON.parse(fs.readFileSync('package.json', 'utf8'));
+  const files = listFiles(stagingPath, '');
+  const libraries = libraryDirs(files);
+  const shell = files.filter(name => !libraries.some(dir => name.startsWith(dir)))
+    .concat(indexAssets(stagingPath).filter(name => files.indexOf(name) !== -1))
+    .filter((name, index, names) => names.indexOf(name) === index)
+    .filter(name => !EXCLUDED.some(pattern => pattern.test(name)))
+    .sort();
+  const version = `${pkg.version}-${hashFiles(stagingPath, files)}`;
+
+  const source = fs.readFileSync(TEMPLATE, 'utf8')
+    .replace(/^const APP = .*;$/m, `const APP = ${JSON.stringify(pkg.name)};`)
+    .replace(/^const VERSION = .*;$/m, `const VERSION = ${JSON.stringify(version)};`)
+    .replace(/^const SHELL_FILES = .*;$/m, `const SHELL_FILES = ${JSON.stringify(shell, null, 2)};`)
+    .replace(/^const LIBRARY_PATHS = .*;$/m, `const LIBRARY_PATHS = ${JSON.stringify(libraries)};`);
+  fs.writeFileSync(path.join(stagingPath, 'sw.js'), source);
+  console.log(`Service worker for ${pkg.name} ${version}: ${shell.length} shell files.`);
+};
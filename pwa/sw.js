@@ -0,0 +1,98 @@
+/**
+ * @license
+ * Copyright (c) 2014, 2021, Oracle and/or its affiliates.
+ * Licensed under The Universal Permissive License (UPL), Version 1.0
+ * as shown at https://oss.oracle.com/licenses/upl/
+ * @ignore
+ */
+'use strict';
+
+/**
+ * Service worker that lets the application start without a connection.
+ *
+ * The after_build hooks of the JET applications write it to the staged
+ * application (see serviceWorker.js) with APP, the name in package.json,
+ * VERSION, that of the build, SHELL_FILES, the staged files that make up the
+ * shell, and LIBRARY_PATHS, the staged directories whose paths carry a
+ * version, filled in. They are placeholders here.
+ *
+ * - Shell files are cached on install and fetched from the network first,
+ *   so a rebuild is picked up straight away and the cached copy is only
+ *   used offline.
+ * - The configuration the shell is built from (api/config on the
+ *   application server) is fetched from the network first too, so the
+ *   application can start offline with the one it last had.
+ * - JET, require.js, the theme and the other libraries are served from
+ *   versioned paths, so they are taken from the cache first and cached the
+ *   first time they are loaded.
+ * - Each build that changes a staged file gets a new cache, and the caches
+ *   of earlier builds are deleted once it takes over.
+ */
+const APP = 'app';
+const VERSION = 'dev';
+const SHELL_FILES = [];
+const LIBRARY_PATHS = ['js/libs/', 'css/libs/'];
+const CACHE_NAME = APP + '-' + VERSION;
+
+const scope = new URL(self.registration.scope);
+const shellUrls = SHELL_FILES.map((file) => new URL(file, scope).href);
+const libraryUrls = LIBRARY_PATHS.map((path) => new URL(path, scope).href);
+const configUrl = new URL('api/config', scope).href;
+
+function isLibrary(url) {
+  return libraryUrls.some((libraryUrl) => url.href.startsWith(libraryUrl));
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE_NAME).then((cache) => {
+    // bypass the HTTP cache so the shell is the one from this build
+    return cache.addAll(shellUrls.map((url) => new Request(url, { cache: 'reload' })));
+  }).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(caches.keys().then((names) => {
+    return Promise.all(names.filter((name) => name.startsWith(APP + '-') && name !== CACHE_NAME)
+      .map((name) => caches.delete(name)));
+  }).then(() => self.clients.claim()));
+});
+
+function networkFirst(request, fallbackUrl) {
+  return fetch(request).then((response) => {
+    if (response.ok) {
+      let copy = response.clone();
+      caches.open(CACHE_NAME).then((cache) => cache.put(fallbackUrl || request, copy));
+    }
+    return response;
+  }).catch((error) => {
+    return caches.match(fallbackUrl || request).then((cached) => cached || Promise.reject(error));
+  });
+}
+
+function cacheFirst(request) {
+  return caches.match(request).then((cached) => {
+    return cached || fetch(request).then((response) => {
+      if (response.ok) {
+        let copy = response.clone();
+        caches.open(CACHE_NAME).then((cache) => cache.put(request, copy));
+      }
+      return response;
+    });
+  });
+}
+
+self.addEventListener('fetch', (event) => {
+  let request = event.request;
+  if (request.method !== 'GET') {
+    return;
+  }
+  let url = new URL(request.url);
+  if (request.mode === 'navigate' && url.origin === scope.origin) {
+    // every page of the application is index.html
+    event.respondWith(networkFirst(request, new URL('index.html', scope).href));
+  } else if (isLibrary(url)) {
+    event.respondWith(cacheFirst(request));
+  } else if (shellUrls.indexOf(url.href) !== -1 || url.href === configUrl) {
+    event.respondWith(networkFirst(request));
+  }
+});